@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Command-line redirect: translates search results URLs for other engines
+ *
+ * Usage: search-redirect [options] [url...]
+ *
+ * URLs are read from the arguments, or one per line from standard input
+ * when there are none, so saved links can be converted in bulk.
+ */
+
+import { createInterface } from 'readline';
+import { parseArgs } from 'util';
+import { getEngine, getEngines } from '../src/engines/index.js';
+import { translateSearchUrl } from '../src/utils.js';
+
+const USAGE = `Usage: search-redirect [options] [url...]
+
+Translates search results URLs (Google, Bing, DuckDuckGo, ...) for other
+engines. Without URLs, reads them one per line from standard input.
+
+Options:
+  -t, --to <ids>     Target engines, comma-separated (default: duckduckgo)
+  -k, --keep <keys>  Parameters to keep, comma-separated, e.g. tbs,gl or
+                     tbs:qdr,lr (default: every filter; "none" keeps the
+                     query only)
+  -j, --json         Print JSON, with the parameters and operators each
+                     engine drops or only approximates
+  -h, --help         Show this help
+
+Engines: ${getEngines()
+  .map(engine => engine.id)
+  .join(', ')}`;
+
+/**
+ * Splits a comma-separated option value
+ * @param {string} value - The option value
+ * @returns {string[]} The trimmed, non-empty items
+ */
+function splitOption(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the non-empty lines of standard input
+ * @returns {Promise<string[]>} The lines, trimmed
+ */
+async function readLines() {
+  const lines = [];
+  for await (const line of createInterface({ input: process.stdin })) {
+    if (line.trim()) lines.push(line.trim());
+  }
+  return lines;
+}
+
+/**
+ * Runs the command
+ * @returns {Promise<number>} The exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs({
+      allowPositionals: true,
+      options: {
+        to: { type: 'string', short: 't', default: 'duckduckgo' },
+        keep: { type: 'string', short: 'k' },
+        json: { type: 'boolean', short: 'j', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = options;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const engineIds = splitOption(values.to);
+  const known = getEngines().map(engine => engine.id);
+  const unknown = engineIds.filter(id => !known.includes(id));
+  if (engineIds.length === 0 || unknown.length > 0) {
+    console.error(`Unknown search engine: ${unknown.join(', ') || '(none)'}`);
+    return 2;
+  }
+
+  let keep;
+  if (values.keep !== undefined) {
+    keep = values.keep === 'none' ? [] : splitOption(values.keep);
+  }
+
+  const urls = positionals.length > 0 ? positionals : await readLines();
+  const results = [];
+  let exitCode = 0;
+  urls.forEach(url => {
+    try {
+      const targets = translateSearchUrl(url, engineIds, { keep });
+      results.push({ url, targets });
+      if (!values.json) {
+        targets.forEach(target => {
+          console.log(target.url);
+          // On stderr, so that standard output stays one URL per line
+          const { name } = getEngine(target.engine);
+          if (target.unsupported.length > 0) {
+            console.error(
+              `Not supported by ${name}, dropped: ${target.unsupported.join(', ')}`
+            );
+          }
+          if (target.approximate.length > 0) {
+            console.error(
+              `Only approximated by ${name}: ${target.approximate.join(', ')}`
+            );
+          }
+        });
+      }
+    } catch (error) {
+      console.error(error.message);
+      results.push({ url, error: error.message });
+      exitCode = 1;
+    }
+  });
+
+  if (values.json) console.log(JSON.stringify(results, null, 2));
+  return exitCode;
+}
+
+main().then(exitCode => {
+  process.exitCode = exitCode;
+});
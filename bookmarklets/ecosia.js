@@ -0,0 +1,26 @@
+/**
+ * Ecosia Search Redirect Bookmarklet
+ *
+ * This bookmarklet redirects Google search queries to Ecosia
+ * with optional parameter preservation.
+ *
+ * Note: This is the development version. The build system will create
+ * a minified, self-contained version for actual bookmarklet use.
+ */
+
+// Import utilities (will be bundled by build system)
+import { runRedirect } from '../src/redirect.js';
+
+/**
+ * Main bookmarklet function
+ * This will be wrapped in an IIFE and minified by the build system
+ */
+function ecosiaRedirect() {
+  runRedirect('ecosia');
+}
+
+// Execute the bookmarklet
+ecosiaRedirect();
+
+// Export for testing purposes
+export { ecosiaRedirect };
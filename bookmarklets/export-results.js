@@ -0,0 +1,57 @@
+/**
+ * Search Results Export Bookmarklet
+ *
+ * This bookmarklet collects the organic results of a Google search
+ * results page and offers them as JSON, Markdown or CSV.
+ *
+ * Note: This is the development version. The build system will create
+ * a minified, self-contained version for actual bookmarklet use.
+ */
+
+// Import utilities (will be bundled by build system)
+import {
+  isGoogleSearchPage,
+  extractUrlParams,
+  extractSearchQuery,
+} from '../src/utils.js';
+
+import { selectLocale, t } from '../src/i18n/index.js';
+import { extractResults } from '../src/results.js';
+import { createExportModal } from '../src/ui.js';
+
+/**
+ * Main bookmarklet function
+ * This will be wrapped in an IIFE and minified by the build system
+ */
+function exportResults() {
+  selectLocale(extractUrlParams().hl);
+
+  // Check if we're on a Google search page
+  if (!isGoogleSearchPage()) {
+    alert(t('error.notGooglePage'));
+    return;
+  }
+
+  const params = extractUrlParams();
+  const query = extractSearchQuery();
+  const results = extractResults(parseInt(params.start, 10) || 0);
+
+  if (results.length === 0) {
+    alert(t('error.noResults'));
+    return;
+  }
+
+  createExportModal({
+    query,
+    params,
+    url: window.location.href,
+    exportedAt: new Date().toISOString(),
+    results,
+  });
+}
+
+// Execute the bookmarklet
+exportResults();
+
+// Export for testing purposes
+export { exportResults };
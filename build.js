@@ -2,56 +2,301 @@
  * Build script for creating minified bookmarklets
  *
  * This script bundles the bookmarklet code with its dependencies,
- * minifies it, and formats it as a javascript: protocol URL.
+ * minifies it, and formats it as a javascript: protocol URL. Every file in
+ * bookmarklets/ is built, and dist/index.html lists them all.
  */
 
 import { build } from 'esbuild';
-import { readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, readdirSync, writeFileSync, mkdirSync } from 'fs';
+import { basename, join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import GOOGLE_TLDS from './extension/google-domains.js';
+import { getEngines } from './src/engines/index.js';
+import catalogs from './src/i18n/catalogs.js';
+import { DEFAULT_LOCALE, getLocales } from './src/i18n/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Configuration
 const BOOKMARKLETS_DIR = join(__dirname, 'bookmarklets');
+const USERSCRIPT_FILE = join(__dirname, 'userscript', 'search-redirect.js');
+const EXTENSION_DIR = join(__dirname, 'extension');
 const DIST_DIR = join(__dirname, 'dist');
 const SRC_DIR = join(__dirname, 'src');
+const CONFIGURATOR_TEMPLATE = join(SRC_DIR, 'configured.js');
+const I18N_DIR = join(SRC_DIR, 'i18n');
+
+// Longest javascript: URL a Firefox bookmark can hold
+const MAX_URL_LENGTH = 65536;
+
+// What a javascript: URL cannot hold as written (see toBookmarkletUrl)
+const URL_UNSAFE_CHARS = /[%#\x00-\x1f\x7f]|[^\x00-\x7f]+/g;
+
+// Parameters the configurator offers to select, as dialog entry keys
+const CONFIGURABLE_PARAMS = [
+  ['tbs:qdr', 'Time filter (past hour, day, week, ...)'],
+  ['tbs:cdr', 'Custom date range'],
+  ['tbs:li', 'Verbatim'],
+  ['lr', 'Language restriction'],
+  ['cr', 'Country restriction'],
+  ['hl', 'Interface language'],
+  ['gl', 'Region'],
+  ['safe', 'Safe search'],
+  ['num', 'Number of results'],
+  ['tbm', 'Search type (images, videos, news, ...)'],
+  ['start', 'Result page'],
+  ['nfpr', 'Autocorrect off'],
+];
+
+const { version, homepage } = JSON.parse(
+  readFileSync(join(__dirname, 'package.json'), 'utf8')
+);
+
+// Description of the userscript and the extension
+const DESCRIPTION =
+  'Open the current search in another search engine, keeping its filters';
+
+// Keyboard shortcut of the extension, changeable in the browser
+const EXTENSION_SHORTCUT = 'Alt+Shift+S';
 
 // Ensure dist directory exists
 mkdirSync(DIST_DIR, { recursive: true });
 
 /**
- * Builds a bookmarklet from source file
+ * Lists the bookmarklets to build, one per file in bookmarklets/
+ * @returns {string[]} Bookmarklet names (file names without extension)
+ */
+function findBookmarklets() {
+  return readdirSync(BOOKMARKLETS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => basename(file, '.js'))
+    .sort();
+}
+
+/**
+ * Reads a bookmarklet's leading doc comment: its title and the first
+ * paragraph after it
  * @param {string} bookmarkletFile - Path to bookmarklet source file
+ * @returns {{title: string, description: string}} Empty strings where the
+ *   comment is missing
+ */
+function readDocComment(bookmarkletFile) {
+  const comment = /^\/\*\*([\s\S]*?)\*\//.exec(
+    readFileSync(bookmarkletFile, 'utf8')
+  );
+  if (!comment) return { title: '', description: '' };
+  const paragraphs = comment[1]
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').trim())
+    .join('\n')
+    .trim()
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' '));
+  return { title: paragraphs[0] || '', description: paragraphs[1] || '' };
+}
+
+/**
+ * Gets the display name of a bookmarklet: the title of its doc comment
+ * (e.g., 'Bing Search Redirect'), or else its name ('export-results' to
+ * 'Export Results')
+ * @param {string} name - Bookmarklet name
+ * @param {string} title - Title of the bookmarklet's doc comment
+ * @returns {string} Display name
+ */
+function getDisplayName(name, title) {
+  if (title) return title.replace(/ Bookmarklet$/, '');
+  return name
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the name of a bookmarklet's build for a language: the bookmarklet
+ * name in English, with the locale after it otherwise ('bing.de')
+ * @param {string} name - Bookmarklet name
+ * @param {string} locale - Locale id
+ * @returns {string} Name for the output files (without extension)
+ */
+function getOutputName(name, locale) {
+  return locale === DEFAULT_LOCALE ? name : `${name}.${locale}`;
+}
+
+/**
+ * Names a language in itself (e.g., 'Deutsch'), for the gallery
+ * @param {string} locale - Locale id
+ * @returns {string} The language name
+ */
+function getLanguageName(locale) {
+  return new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+}
+
+/**
+ * Gets the gallery page of a language: index.html in English, with the
+ * locale in its name otherwise ('index.de.html')
+ * @param {string} locale - Locale id
+ * @returns {string} The file name in dist/
+ */
+function getGalleryFile(locale) {
+  return `${getOutputName('index', locale)}.html`;
+}
+
+/**
+ * Makes an esbuild plugin that bundles one language in place of
+ * src/i18n/catalogs.js
+ *
+ * A javascript: URL has no room for all five catalogs, so each bookmarklet
+ * is built once per language. Its catalog is filled in from English here,
+ * leaving nothing to fall back on at run time.
+ * @param {string} locale - The locale id (e.g., 'de')
+ * @returns {Object} The plugin
+ */
+function singleLocalePlugin(locale) {
+  const catalog = { ...catalogs[DEFAULT_LOCALE], ...catalogs[locale] };
+  return {
+    name: 'single-locale',
+    setup(pluginBuild) {
+      pluginBuild.onResolve({ filter: /^\.\/catalogs\.js$/ }, args =>
+        args.resolveDir === I18N_DIR
+          ? { path: 'catalogs', namespace: 'single-locale' }
+          : undefined
+      );
+      pluginBuild.onLoad({ filter: /.*/, namespace: 'single-locale' }, () => ({
+        contents: `export default ${JSON.stringify({ [locale]: catalog })};`,
+      }));
+    },
+  };
+}
+
+/**
+ * Makes an esbuild plugin that squeezes the whitespace out of the dialog
+ * stylesheet (src/styles.js)
+ *
+ * esbuild leaves template literals as written, and each line break of the
+ * CSS takes three characters in a javascript: URL.
+ * @returns {Object} The plugin
+ */
+function compactStylesPlugin() {
+  return {
+    name: 'compact-styles',
+    setup(pluginBuild) {
+      pluginBuild.onLoad({ filter: /[\\/]src[\\/]styles\.js$/ }, args => ({
+        contents: readFileSync(args.path, 'utf8').replace(/`[^`]*`/g, css =>
+          css
+            .replace(/\s+/g, ' ')
+            .replace(/ ?([{};,>]) ?/g, '$1')
+            .replace(/: /g, ':')
+        ),
+        loader: 'js',
+      }));
+    },
+  };
+}
+
+/**
+ * Bundles and minifies a bookmarklet entry point with its dependencies
+ * @param {string} entryFile - Path to the entry point
  * @param {string} outputName - Name for output file (without extension)
+ * @param {Object} [bundleOptions] - Additional options
+ * @param {boolean} [bundleOptions.minify] - Minify the code; userscripts
+ *   and extensions stay readable for review
+ * @param {string} [bundleOptions.locale] - Bundle this language's
+ *   catalog only, rather than every one
+ * @param {Object} [bundleOptions.define] - Globals to replace with values,
+ *   keyed by name
+ * @returns {Promise<string>} The bundled code
+ */
+async function bundle(
+  entryFile,
+  outputName,
+  { minify = true, locale = null, define = {} } = {}
+) {
+  // Bundle and minify using esbuild
+  const result = await build({
+    entryPoints: [entryFile],
+    bundle: true,
+    minify,
+    format: 'iife',
+    target: ['es2015'],
+    outfile: join(DIST_DIR, `${outputName}.min.js`),
+    write: false, // We'll write manually
+    define: Object.fromEntries(
+      Object.keys(define).map(name => [name, JSON.stringify(define[name])])
+    ),
+    plugins: [
+      ...(locale ? [singleLocalePlugin(locale)] : []),
+      ...(minify ? [compactStylesPlugin()] : []),
+    ],
+    banner: {
+      js: '// Bookmarklet: Drag this to your bookmark bar\n',
+    },
+  });
+
+  // Remove the banner comment for the final bookmarklet
+  return result.outputFiles[0].text.replace(/^\/\/.*\n/, '');
+}
+
+/**
+ * Turns bookmarklet code into a javascript: URL
+ *
+ * Only what the URL cannot hold as written is escaped: '%' (browsers
+ * percent-decode the URL before running it), '#', line breaks and other
+ * control characters, and anything outside ASCII. encodeURIComponent()
+ * would also escape every space, quote and bracket, making the URL half as
+ * long again.
+ * @param {string} code - The wrapped bookmarklet code
+ * @returns {string} The javascript: URL
+ */
+function toBookmarkletUrl(code) {
+  return `javascript:${code.replace(URL_UNSAFE_CHARS, chars => encodeURIComponent(chars))}`;
+}
+
+/**
+ * Stops the build if a javascript: URL is too long for a bookmark
+ * @param {string} name - What the URL is for, for the error message
+ * @param {number} length - The URL length
+ * @throws {Error} If the URL is longer than MAX_URL_LENGTH
  */
-async function buildBookmarklet(bookmarkletFile, outputName) {
+function checkUrlLength(name, length) {
+  if (length > MAX_URL_LENGTH) {
+    throw new Error(
+      `The ${name} URL is ${length.toLocaleString('en')} characters long, over the ${MAX_URL_LENGTH.toLocaleString('en')} a Firefox bookmark can hold`
+    );
+  }
+}
+
+/**
+ * Builds a bookmarklet from source file, in one language
+ * @param {string} bookmarkletFile - Path to bookmarklet source file
+ * @param {string} name - Bookmarklet name
+ * @param {string} locale - Locale id of the dialogs and messages
+ * @returns {Promise<Object>} The built bookmarklet, for the gallery
+ */
+async function buildBookmarklet(bookmarkletFile, name, locale) {
+  const outputName = getOutputName(name, locale);
   console.log(`Building ${outputName}...`);
 
   try {
-    // Bundle and minify using esbuild
-    const result = await build({
-      entryPoints: [bookmarkletFile],
-      bundle: true,
-      minify: true,
-      format: 'iife',
-      target: ['es2015'],
-      outfile: join(DIST_DIR, `${outputName}.min.js`),
-      write: false, // We'll write manually
-      banner: {
-        js: '// Bookmarklet: Drag this to your bookmark bar\n',
-      },
-    });
-
-    // Get the bundled code
-    const bundledCode = result.outputFiles[0].text;
+    const cleanCode = await bundle(bookmarkletFile, outputName, { locale });
 
     // Wrap in IIFE and create javascript: protocol URL
-    // Remove the banner comment for the final bookmarklet
-    const cleanCode = bundledCode.replace(/^\/\/.*\n/, '');
     const wrappedCode = `(function(){${cleanCode}})();`;
-    const bookmarkletUrl = `javascript:${encodeURIComponent(wrappedCode)}`;
+    const bookmarkletUrl = toBookmarkletUrl(wrappedCode);
+    checkUrlLength(outputName, bookmarkletUrl.length);
 
     // Write minified JS file
     writeFileSync(join(DIST_DIR, `${outputName}.min.js`), cleanCode);
@@ -63,10 +308,17 @@ async function buildBookmarklet(bookmarkletFile, outputName) {
     );
 
     // Write HTML file with install instructions
+    const { title, description } = readDocComment(bookmarkletFile);
+    const bookmarklet = {
+      name: outputName,
+      displayName: getDisplayName(name, title),
+      description,
+      url: bookmarkletUrl,
+      code: cleanCode,
+    };
     const htmlContent = generateInstallHTML(
-      outputName,
-      bookmarkletUrl,
-      cleanCode
+      `${bookmarklet.displayName} Bookmarklet (${getLanguageName(locale)})`,
+      [bookmarklet]
     );
     writeFileSync(join(DIST_DIR, `${outputName}.html`), htmlContent);
 
@@ -74,6 +326,7 @@ async function buildBookmarklet(bookmarkletFile, outputName) {
     console.log(`  - Minified JS: dist/${outputName}.min.js`);
     console.log(`  - Bookmarklet URL: dist/${outputName}.bookmarklet.txt`);
     console.log(`  - Install page: dist/${outputName}.html`);
+    return bookmarklet;
   } catch (error) {
     console.error(`✗ Error building ${outputName}:`, error.message);
     process.exit(1);
@@ -81,24 +334,334 @@ async function buildBookmarklet(bookmarkletFile, outputName) {
 }
 
 /**
- * Generates HTML file with installation instructions
- * @param {string} name - Bookmarklet name
- * @param {string} bookmarkletUrl - The javascript: URL
- * @param {string} code - The minified code
+ * Lists the URL globs of every results page the redirect works from
+ * @returns {string[]} Globs from the engine adapters' pages
+ */
+function getResultPageGlobs() {
+  return getEngines().flatMap(engine => engine.pages);
+}
+
+/**
+ * Lists the match patterns of every results page, for the extension
+ *
+ * Match patterns cannot leave the top-level domain open, so a google.* glob
+ * becomes one pattern per Google domain.
+ * @returns {string[]} Match patterns for the adapters' pages
+ */
+function getResultPageMatches() {
+  return getResultPageGlobs().flatMap(glob => {
+    const match = /^(.*:\/\/(?:[^/]*\.)?google)\.\*(\/.*)$/.exec(glob);
+    if (!match) return [glob];
+    return GOOGLE_TLDS.map(tld => `${match[1]}.${tld}${match[2]}`);
+  });
+}
+
+/**
+ * Builds the userscript: the engine bar bundle behind a metadata block
+ * that runs it on every supported results page
+ * @returns {Promise<void>}
+ */
+async function buildUserscript() {
+  console.log('Building userscript...');
+  const code = await bundle(USERSCRIPT_FILE, 'search-redirect.user', {
+    minify: false,
+  });
+  const metadata = [
+    ['name', 'Search Redirect'],
+    ['namespace', homepage],
+    ['version', version],
+    ['description', DESCRIPTION],
+    ['homepageURL', homepage],
+    ...getResultPageGlobs().map(glob => ['include', glob]),
+    ['grant', 'none'],
+    ['run-at', 'document-idle'],
+  ]
+    .map(([key, value]) => `// @${key.padEnd(12)} ${value}`)
+    .join('\n');
+  writeFileSync(
+    join(DIST_DIR, 'search-redirect.user.js'),
+    `// ==UserScript==\n${metadata}\n// ==/UserScript==\n\n${code}`
+  );
+  console.log('✓ Built dist/search-redirect.user.js');
+}
+
+/**
+ * Builds the unpacked Manifest V3 extension in dist/extension/
+ * @returns {Promise<void>}
+ */
+async function buildExtension() {
+  console.log('Building browser extension...');
+  const outputDir = join(DIST_DIR, 'extension');
+  mkdirSync(outputDir, { recursive: true });
+
+  for (const script of ['background', 'content']) {
+    writeFileSync(
+      join(outputDir, `${script}.js`),
+      await bundle(join(EXTENSION_DIR, `${script}.js`), script, {
+        minify: false,
+        define: { RESULT_PAGE_MATCHES: getResultPageMatches() },
+      })
+    );
+  }
+
+  const manifest = {
+    manifest_version: 3,
+    name: 'Search Redirect',
+    version,
+    description: DESCRIPTION,
+    homepage_url: homepage,
+    permissions: ['contextMenus'],
+    // Chrome runs the service worker, Firefox the background script
+    background: { service_worker: 'background.js', scripts: ['background.js'] },
+    content_scripts: [
+      {
+        matches: getResultPageMatches(),
+        js: ['content.js'],
+        run_at: 'document_idle',
+      },
+    ],
+    commands: {
+      'redirect-search': {
+        suggested_key: { default: EXTENSION_SHORTCUT },
+        description: 'Redirect this search to another engine',
+      },
+    },
+  };
+  writeFileSync(
+    join(outputDir, 'manifest.json'),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+  console.log('✓ Built dist/extension/');
+}
+
+/**
+ * Generates the section about the userscript and the extension
+ * @returns {string} HTML of the section
+ */
+function generateIntegrationsHTML() {
+  return `
+  <section class="bookmarklet" id="userscript-extension">
+    <h2>Userscript and Browser Extension</h2>
+    <p>Both add an "Open in" bar of search engines to Google, Bing, DuckDuckGo, Brave Search and Startpage results pages, with the same dialog as the bookmarklets.</p>
+    <ul>
+      <li><a href="search-redirect.user.js">search-redirect.user.js</a>: open it with Greasemonkey, Tampermonkey or Violentmonkey installed to add it</li>
+      <li><code>extension/</code>: load this folder as an unpacked extension (chrome://extensions with developer mode on, or about:debugging in Firefox). It also adds an "Open this search in another engine" context menu and the ${EXTENSION_SHORTCUT} shortcut.</li>
+    </ul>
+  </section>`;
+}
+
+/**
+ * Generates the links between the galleries of each language
+ * @param {string} current - Locale id of the gallery the links are in
+ * @returns {string} HTML of the language links
+ */
+function generateLanguagesHTML(current) {
+  const links = getLocales()
+    .map(
+      locale =>
+        `<a href="${getGalleryFile(locale)}" hreflang="${locale}"${locale === current ? ' aria-current="page"' : ''}>${escapeHtml(getLanguageName(locale))}</a>`
+    )
+    .join(' · ');
+  return `
+  <nav class="languages">Dialog language: ${links}</nav>`;
+}
+
+/**
+ * Wraps the configurator's template in a function that first declares the
+ * chosen settings, as the configurator's own script does in the page
+ * @param {string} template - Minified code of src/configured.js
+ * @param {Object} config - The settings (see src/configured.js)
+ * @returns {string} The wrapped bookmarklet code
+ */
+function wrapConfiguredCode(template, config) {
+  return `(function(){var SEARCH_REDIRECT_CONFIG=${JSON.stringify(config)};${template}})();`;
+}
+
+/**
+ * Stops the build if a bookmarklet made with the configurator could be too
+ * long for a bookmark, trying the settings that make the longest URL
+ * @param {string} template - Minified code of src/configured.js
+ * @throws {Error} If that URL is longer than MAX_URL_LENGTH
+ */
+function checkConfiguredUrlLength(template) {
+  const longest = {
+    engine: getEngines()
+      .map(engine => engine.id)
+      .reduce((a, b) => (b.length > a.length ? b : a)),
+    params: CONFIGURABLE_PARAMS.map(([key]) => key),
+    skipDialog: false,
+    theme: 'light',
+  };
+  const url = toBookmarkletUrl(wrapConfiguredCode(template, longest));
+  checkUrlLength('configurator', url.length);
+}
+
+/**
+ * Generates the configurator: a form whose choices are embedded as
+ * SEARCH_REDIRECT_CONFIG in front of the template bundle, giving a custom
+ * javascript: URL that is rebuilt in the page as the form changes
+ * @param {string} template - Minified code of src/configured.js
+ * @returns {string} HTML of the configurator section and its script
+ */
+function generateConfiguratorHTML(template) {
+  const engineOptions = getEngines()
+    .map(
+      engine =>
+        `<option value="${engine.id}"${engine.id === 'duckduckgo' ? ' selected' : ''}>${escapeHtml(engine.name)}</option>`
+    )
+    .join('\n          ');
+  const paramOptions = CONFIGURABLE_PARAMS.map(
+    ([key, label]) =>
+      `<label><input type="checkbox" name="params" value="${key}"> ${escapeHtml(label)}</label>`
+  ).join('\n        ');
+  const themeOptions = ['auto', 'light', 'dark']
+    .map(
+      theme =>
+        `<label><input type="radio" name="theme" value="${theme}"${theme === 'auto' ? ' checked' : ''}> ${theme === 'auto' ? 'Follow the page' : theme.charAt(0).toUpperCase() + theme.slice(1)}</label>`
+    )
+    .join('\n        ');
+
+  // In a script element, only '</script' could end the JSON early
+  const templateJson = JSON.stringify(template).replace(/</g, '\\u003c');
+
+  return `
+  <section class="bookmarklet configurator" id="configurator">
+    <h2>Make Your Own</h2>
+    <p>Choose the defaults of your own redirect bookmarklet. The link below changes as you choose; drag it to your bookmark bar when it is ready.</p>
+    <form id="configurator-form">
+      <label class="field">Name
+        <input type="text" name="name" placeholder="Search Redirect">
+      </label>
+      <label class="field">Target engine
+        <select name="engine">
+          ${engineOptions}
+        </select>
+      </label>
+      <fieldset>
+        <legend>Parameters to keep (checked in the dialog)</legend>
+        ${paramOptions}
+      </fieldset>
+      <fieldset>
+        <legend>Dialog</legend>
+        <label><input type="checkbox" name="skipDialog"> Redirect with these parameters straight away (press Shift or click Options on the notice for the dialog)</label>
+      </fieldset>
+      <fieldset>
+        <legend>Theme</legend>
+        ${themeOptions}
+      </fieldset>
+    </form>
+    <a href="#" class="bookmarklet-link" id="configurator-link" onclick="return false;">Search Redirect</a>
+    <p class="size" id="configurator-size"></p>
+    <details>
+      <summary>View Settings</summary>
+      <div class="code-block">
+        <pre id="configurator-config"></pre>
+      </div>
+    </details>
+  </section>
+  <script type="application/json" id="configurator-template">${templateJson}</script>
+  <script>
+    (function () {
+      var template = JSON.parse(
+        document.getElementById('configurator-template').textContent
+      );
+      var form = document.getElementById('configurator-form');
+      var fields = form.elements;
+      var link = document.getElementById('configurator-link');
+      var unsafe = new RegExp(${JSON.stringify(URL_UNSAFE_CHARS.source)}, 'g');
+
+      function readConfig() {
+        var params = [];
+        form.querySelectorAll('input[name="params"]:checked').forEach(
+          function (input) {
+            params.push(input.value);
+          }
+        );
+        return {
+          engine: fields.engine.value,
+          params: params,
+          skipDialog: fields.skipDialog.checked,
+          theme: form.querySelector('input[name="theme"]:checked').value,
+        };
+      }
+
+      // The same encoding as the build's own bookmarklets
+      function toUrl(code) {
+        return 'javascript:' + code.replace(unsafe, encodeURIComponent);
+      }
+
+      function update() {
+        var config = readConfig();
+        var engine = fields.engine;
+        var engineName = engine.options[engine.selectedIndex].text;
+        // As wrapConfiguredCode() in build.js
+        var url = toUrl(
+          '(function(){var SEARCH_REDIRECT_CONFIG=' +
+            JSON.stringify(config) +
+            ';' +
+            template +
+            '})();'
+        );
+        fields.name.placeholder = engineName + ' Search Redirect';
+        link.href = url;
+        link.textContent = fields.name.value.trim() || fields.name.placeholder;
+        document.getElementById('configurator-size').textContent =
+          url.length.toLocaleString('en') +
+          ' characters' +
+          (url.length > ${MAX_URL_LENGTH}
+            ? ', too long for a Firefox bookmark'
+            : '');
+        document.getElementById('configurator-config').textContent =
+          JSON.stringify(config, null, 2);
+      }
+
+      form.addEventListener('input', update);
+      form.addEventListener('change', update);
+      update();
+    })();
+  </script>`;
+}
+
+/**
+ * Generates HTML file with installation instructions for one or more
+ * bookmarklets
+ * @param {string} title - Page title
+ * @param {{name: string, displayName: string, description: string, url: string, code: string}[]} bookmarklets -
+ *   The bookmarklets to offer, each with its javascript: URL and minified code
+ * @param {string} [extras] - HTML of further sections, such as the
+ *   configurator
+ * @param {string} [nav] - HTML shown above the instructions, such as the
+ *   links to the other languages
  * @returns {string} HTML content
  */
-function generateInstallHTML(name, bookmarkletUrl, code) {
-  const displayName = name
-    .split('-')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
+function generateInstallHTML(title, bookmarklets, extras = '', nav = '') {
+  const buildDate = new Date().toISOString().slice(0, 10);
+  const cards = bookmarklets
+    .map(
+      bookmarklet => `
+  <section class="bookmarklet" id="${bookmarklet.name}">
+    <h2>${escapeHtml(bookmarklet.displayName)}</h2>
+    <p>${escapeHtml(bookmarklet.description)}</p>
+    <a href="${escapeHtml(bookmarklet.url)}" class="bookmarklet-link" onclick="return false;">
+      ${escapeHtml(bookmarklet.displayName)}
+    </a>
+    <p class="size">${bookmarklet.url.length.toLocaleString('en')} characters</p>
+    <details>
+      <summary>View Bookmarklet Code</summary>
+      <div class="code-block">
+        <pre>${escapeHtml(bookmarklet.code.substring(0, 500))}${bookmarklet.code.length > 500 ? '...' : ''}</pre>
+      </div>
+    </details>
+  </section>`
+    )
+    .join('\n');
 
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Install ${displayName} Bookmarklet</title>
+  <title>Install ${escapeHtml(title)}</title>
   <style>
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
@@ -112,6 +675,15 @@ function generateInstallHTML(name, bookmarkletUrl, code) {
       color: #1a73e8;
       margin-bottom: 10px;
     }
+    .bookmarklet {
+      border: 1px solid #dadce0;
+      border-radius: 8px;
+      padding: 4px 20px 12px;
+      margin: 20px 0;
+    }
+    .bookmarklet h2 {
+      margin-bottom: 0;
+    }
     .bookmarklet-link {
       display: inline-block;
       padding: 12px 24px;
@@ -120,12 +692,22 @@ function generateInstallHTML(name, bookmarkletUrl, code) {
       text-decoration: none;
       border-radius: 4px;
       font-weight: 500;
-      margin: 20px 0;
+      margin: 8px 0;
       transition: background 0.2s;
     }
     .bookmarklet-link:hover {
       background: #1765cc;
     }
+    .size,
+    .stamp {
+      color: #5f6368;
+      font-size: 14px;
+    }
+    summary {
+      cursor: pointer;
+      font-weight: 500;
+      margin: 12px 0;
+    }
     .instructions {
       background: #f8f9fa;
       padding: 20px;
@@ -148,6 +730,33 @@ function generateInstallHTML(name, bookmarkletUrl, code) {
       font-size: 12px;
       margin: 10px 0;
     }
+    .configurator fieldset {
+      border: none;
+      margin: 12px 0;
+      padding: 0;
+    }
+    .configurator legend {
+      font-weight: 500;
+    }
+    .configurator fieldset label {
+      display: block;
+    }
+    .configurator .field {
+      display: block;
+      margin: 12px 0;
+    }
+    .configurator .field input,
+    .configurator .field select {
+      display: block;
+      margin-top: 4px;
+      padding: 4px;
+      font: inherit;
+    }
+    .languages a[aria-current] {
+      font-weight: 500;
+      color: inherit;
+      text-decoration: none;
+    }
     .warning {
       background: #fef7e0;
       border-left: 4px solid #fbbc04;
@@ -157,36 +766,28 @@ function generateInstallHTML(name, bookmarkletUrl, code) {
   </style>
 </head>
 <body>
-  <h1>${displayName} Bookmarklet</h1>
-  <p>Redirect Google searches to alternative search engines with parameter preservation.</p>
-  
+  <h1>${escapeHtml(title)}</h1>
+  <p>Redirect searches between search engines with parameter preservation.</p>
+${nav}
+
   <div class="instructions">
     <h2>Installation Instructions</h2>
     <ol>
-      <li>Drag the link below to your browser's bookmark bar:</li>
-    </ol>
-    <a href="${bookmarkletUrl}" class="bookmarklet-link" onclick="return false;">
-      ${displayName}
-    </a>
-    <ol start="2">
-      <li>Or right-click the link above and select "Bookmark Link"</li>
-      <li>Go to a Google search results page</li>
+      <li>Drag a bookmarklet link below to your browser's bookmark bar</li>
+      <li>Or right-click the link and select "Bookmark Link"</li>
+      <li>Go to a search results page (Google, Bing, DuckDuckGo, Brave Search or Startpage)</li>
       <li>Click the bookmarklet in your bookmark bar</li>
       <li>Select which parameters to preserve and click "Redirect"</li>
     </ol>
   </div>
 
   <div class="warning">
-    <strong>Note:</strong> This bookmarklet only works on Google search results pages.
+    <strong>Note:</strong> The redirect bookmarklets work on Google, Bing, DuckDuckGo, Brave Search and Startpage search results pages.
   </div>
+${cards}
+${extras}
 
-  <details>
-    <summary style="cursor: pointer; font-weight: 500; margin: 20px 0;">View Bookmarklet Code</summary>
-    <div class="code-block">
-      <pre>${code.substring(0, 500)}${code.length > 500 ? '...' : ''}</pre>
-    </div>
-    <p><small>Code length: ${code.length} characters</small></p>
-  </details>
+  <p class="stamp">Version ${escapeHtml(version)}, built ${buildDate}</p>
 </body>
 </html>`;
 }
@@ -197,14 +798,68 @@ function generateInstallHTML(name, bookmarkletUrl, code) {
 async function main() {
   console.log('Starting bookmarklet build...\n');
 
-  // Build DuckDuckGo bookmarklet
-  await buildBookmarklet(join(BOOKMARKLETS_DIR, 'duckduckgo.js'), 'duckduckgo');
+  const names = findBookmarklets();
+  for (const locale of getLocales()) {
+    const bookmarklets = [];
+    for (const name of names) {
+      bookmarklets.push(
+        await buildBookmarklet(
+          join(BOOKMARKLETS_DIR, `${name}.js`),
+          name,
+          locale
+        )
+      );
+    }
+
+    // The configurator's template, completed in the browser
+    const templateName = getOutputName('configured', locale);
+    console.log(`Building ${templateName} template...`);
+    const template = await bundle(CONFIGURATOR_TEMPLATE, templateName, {
+      locale,
+    });
+    try {
+      checkConfiguredUrlLength(template);
+    } catch (error) {
+      console.error(
+        `✗ Error building the ${getLanguageName(locale)} configurator:`,
+        error.message
+      );
+      process.exit(1);
+    }
+    writeFileSync(join(DIST_DIR, `${templateName}.min.js`), template);
+
+    // One page to install them all, or to make your own
+    writeFileSync(
+      join(DIST_DIR, getGalleryFile(locale)),
+      generateInstallHTML(
+        'Search Redirect Bookmarklets',
+        bookmarklets,
+        generateConfiguratorHTML(template) + generateIntegrationsHTML(),
+        generateLanguagesHTML(locale)
+      )
+    );
+  }
+
+  await buildUserscript();
+  await buildExtension();
 
   console.log('\n✓ Build complete!');
   console.log('\nGenerated files in dist/ directory:');
+  console.log(
+    '  - index.html: Gallery of every bookmarklet and the configurator'
+  );
+  console.log(
+    '  - index.<locale>.html: The same, with dialogs in another language'
+  );
+  console.log('  - configured.min.js: Template of configured bookmarklets');
+  console.log('  - search-redirect.user.js: Userscript');
+  console.log('  - extension/: Unpacked browser extension');
   console.log('  - .min.js files: Minified JavaScript');
   console.log('  - .bookmarklet.txt files: javascript: URLs for copying');
   console.log('  - .html files: Installation pages');
+  console.log(
+    '  - <name>.<locale>.* files: The same, in a language other than English'
+  );
 }
 
 // Run build
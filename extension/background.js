@@ -0,0 +1,55 @@
+/**
+ * Search Redirect Extension: Background Script
+ *
+ * Adds the "Open this search in another engine" context menu and handles
+ * the keyboard shortcut, passing both on to the page's content script. The
+ * build defines RESULT_PAGE_MATCHES, the match patterns of the manifest's
+ * content script, so the menu only shows on results pages.
+ */
+
+/* global RESULT_PAGE_MATCHES */
+import { findSourceEngine, getEngines } from '../src/engines/index.js';
+import { t } from '../src/i18n/index.js';
+
+const MENU_ID = 'search-redirect';
+
+/**
+ * Asks the content script of a tab to redirect its search
+ * @param {number} tabId - The tab
+ * @param {string} [engineId] - Target engine id, the default one if omitted
+ */
+function sendRedirect(tabId, engineId) {
+  chrome.tabs
+    .sendMessage(tabId, { type: 'redirect', engine: engineId })
+    .catch(() => {
+      // Not a supported results page, so no content script is listening
+    });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: MENU_ID,
+    title: t('bar.label'),
+    contexts: ['page'],
+    documentUrlPatterns: RESULT_PAGE_MATCHES,
+  });
+  getEngines().forEach(engine => {
+    chrome.contextMenus.create({
+      id: `${MENU_ID}:${engine.id}`,
+      parentId: MENU_ID,
+      title: engine.name,
+      contexts: ['page'],
+      documentUrlPatterns: RESULT_PAGE_MATCHES,
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const [menuId, engineId] = String(info.menuItemId).split(':');
+  if (menuId !== MENU_ID || !tab || !findSourceEngine(info.pageUrl)) return;
+  sendRedirect(tab.id, engineId);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'redirect-search' && tab) sendRedirect(tab.id);
+});
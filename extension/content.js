@@ -0,0 +1,18 @@
+/**
+ * Search Redirect Extension: Content Script
+ *
+ * Runs on supported results pages: shows the "Open in" bar and runs the
+ * redirect when the context menu or the keyboard shortcut asks for it.
+ */
+
+import { getDefaultTarget, showEngineBar } from '../src/page.js';
+import { runRedirect } from '../src/redirect.js';
+import { isSearchPage } from '../src/utils.js';
+
+showEngineBar();
+
+chrome.runtime.onMessage.addListener(message => {
+  if (message.type === 'redirect' && isSearchPage()) {
+    runRedirect(message.engine || getDefaultTarget());
+  }
+});
@@ -0,0 +1,135 @@
+/**
+ * DuckDuckGo !bangs: a list of common ones plus the user's own, stored in
+ * the page's localStorage
+ *
+ * A bang in the query (e.g., '!w rust') sends the search straight to
+ * another site. DuckDuckGo, Brave Search and Kagi understand them; the
+ * query rewriter leaves them out for other engines.
+ */
+
+const STORAGE_KEY = 'search-redirect-bangs';
+
+// A few well-known bangs to start from; the user adds the ones they need
+const COMMON_BANGS = [
+  { bang: 'w', name: 'Wikipedia' },
+  { bang: 'gh', name: 'GitHub' },
+  { bang: 'so', name: 'Stack Overflow' },
+  { bang: 'mdn', name: 'MDN Web Docs' },
+  { bang: 'npm', name: 'npm' },
+  { bang: 'yt', name: 'YouTube' },
+  { bang: 'r', name: 'Reddit' },
+  { bang: 'a', name: 'Amazon' },
+  { bang: 'imdb', name: 'IMDb' },
+  { bang: 'g', name: 'Google' },
+];
+
+/**
+ * Reads the user's own bangs
+ * @returns {{bang: string, name: string}[]} The stored bangs
+ */
+function readCustomBangs() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    // Storage can be disabled or hold invalid JSON, start from scratch
+    return [];
+  }
+}
+
+/**
+ * Writes the user's own bangs back to storage
+ * @param {{bang: string, name: string}[]} bangs - The bangs
+ * @returns {boolean} Whether the bangs could be saved
+ */
+function writeCustomBangs(bangs) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bangs));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalizes a bang as typed (e.g., '!MDN', 'mdn')
+ * @param {string} text - The bang, with or without the '!'
+ * @returns {string|null} The bang name in lower case ('mdn'), or null if it
+ *   is not a valid bang
+ */
+export function normalizeBang(text) {
+  const match = /^!?([a-z0-9][\w.-]*)$/i.exec(String(text || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Lists the user's own bangs, then the common ones they do not replace
+ * @returns {{bang: string, name: string, custom?: boolean}[]} The bangs
+ */
+export function getBangs() {
+  const custom = readCustomBangs().map(bang => ({ ...bang, custom: true }));
+  return [
+    ...custom,
+    ...COMMON_BANGS.filter(
+      common => !custom.some(bang => bang.bang === common.bang)
+    ),
+  ];
+}
+
+/**
+ * Finds the bangs whose name or site matches a search
+ * @param {string} text - What the user typed (e.g., '!w', 'wiki')
+ * @returns {{bang: string, name: string, custom?: boolean}[]} Matching bangs,
+ *   those whose name starts with the search first
+ */
+export function searchBangs(text) {
+  const search = String(text || '')
+    .trim()
+    .replace(/^!/, '')
+    .toLowerCase();
+  if (!search) return getBangs();
+  const bangs = getBangs();
+  return [
+    ...bangs.filter(bang => bang.bang.startsWith(search)),
+    ...bangs.filter(
+      bang =>
+        !bang.bang.startsWith(search) &&
+        bang.name.toLowerCase().includes(search)
+    ),
+  ];
+}
+
+/**
+ * Saves a user-defined bang, replacing one with the same name
+ * @param {string} bang - The bang, with or without the '!'
+ * @param {string} name - The site it searches
+ * @returns {boolean} Whether the bang is valid and could be saved
+ */
+export function saveBang(bang, name) {
+  const normalized = normalizeBang(bang);
+  if (!normalized) return false;
+  const bangs = readCustomBangs().filter(custom => custom.bang !== normalized);
+  bangs.push({ bang: normalized, name: name || `!${normalized}` });
+  return writeCustomBangs(bangs);
+}
+
+/**
+ * Deletes a user-defined bang
+ * @param {string} bang - The bang name
+ * @returns {boolean} Whether the change could be saved
+ */
+export function deleteBang(bang) {
+  return writeCustomBangs(
+    readCustomBangs().filter(custom => custom.bang !== bang)
+  );
+}
+
+/**
+ * Puts a bang in front of a query
+ * @param {string} query - The search query
+ * @param {string|null} bang - The bang name, or null for none
+ * @returns {string} The query with the bang
+ */
+export function addBang(query, bang) {
+  return bang ? `!${bang} ${query}`.trim() : query;
+}
@@ -0,0 +1,14 @@
+/**
+ * Template for the bookmarklets made with the install page's configurator
+ *
+ * The build bundles this file once. The configurator then wraps the bundle
+ * in a function that first declares SEARCH_REDIRECT_CONFIG, the options
+ * picked in its form, so a custom bookmarklet needs no rebuild:
+ * { engine: 'bing', params: ['tbs:qdr', 'lr'], skipDialog: true,
+ *   theme: 'dark' }
+ */
+
+/* global SEARCH_REDIRECT_CONFIG */
+import { runRedirect } from './redirect.js';
+
+runRedirect(SEARCH_REDIRECT_CONFIG.engine, SEARCH_REDIRECT_CONFIG);
@@ -0,0 +1,197 @@
+/**
+ * Bing search engine adapter
+ */
+
+import {
+  normalizeLanguageCode,
+  toCountryMappers,
+  toLocaleParam,
+} from '../locales.js';
+import { getResultOffset } from '../paging.js';
+import {
+  approximately,
+  buildCustomRangeTbs,
+  findKey,
+  findVertical,
+  toTimePresetOrRange,
+  toVerticals,
+} from './shared.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts Bing's day count since the Unix epoch to a local date
+ * @param {string} days - Number of days since 1970-01-01
+ * @returns {Date} The date
+ */
+function fromEpochDays(days) {
+  const date = new Date(Number(days) * MS_PER_DAY);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Converts a local date to Bing's day count since the Unix epoch
+ * @param {Date} date - The date
+ * @returns {number} Number of days since 1970-01-01
+ */
+function toEpochDays(date) {
+  return Math.floor(
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY
+  );
+}
+
+/**
+ * Builds Bing's custom date range filter
+ * @param {{min: Date|null, max: Date|null}} range - The date range
+ * @returns {Object|null} The filters parameter, or null without a start date
+ */
+function toDateRange({ min, max }) {
+  if (!min) return null;
+  const start = toEpochDays(min);
+  const end = toEpochDays(max || new Date());
+  return { filters: `ex1:"ez5_${start}_${end}"` };
+}
+
+const TIME_PRESETS = { d: 'ez1', w: 'ez2', m: 'ez3' };
+
+const SAFE_LEVELS = {
+  active: 'strict',
+  strict: 'strict',
+  images: 'moderate',
+  off: 'off',
+};
+
+// Bing markets (mkt), which are locales themselves
+const MARKETS = Object.fromEntries(
+  (
+    'es-AR en-AU de-AT nl-BE fr-BE pt-BR en-CA fr-CA es-CL da-DK fi-FI ' +
+    'fr-FR de-DE zh-HK en-IN en-ID it-IT ja-JP ko-KR en-MY es-MX nl-NL ' +
+    'en-NZ no-NO zh-CN pl-PL en-PH ru-RU en-ZA es-ES sv-SE fr-CH de-CH ' +
+    'zh-TW tr-TR en-GB en-US es-US'
+  )
+    .split(' ')
+    .map(market => [market, market])
+);
+
+// Results pages for Google's search verticals (tbm)
+const VERTICALS = toVerticals('https://www.bing.com/', {
+  isch: 'images/search',
+  vid: 'videos/search',
+  nws: 'news/search',
+  shop: 'shop',
+});
+
+// Image filters (qft) by Google tbs component
+const IMAGE_SIZES = {
+  l: '+filterui:imagesize-large',
+  m: '+filterui:imagesize-medium',
+  i: '+filterui:imagesize-small',
+};
+const IMAGE_COLORS = {
+  color: '+filterui:color2-color',
+  gray: '+filterui:color2-bw',
+  trans: '+filterui:photo-transparent',
+};
+const IMAGE_TYPES = {
+  photo: '+filterui:photo-photo',
+  clipart: '+filterui:photo-clipart',
+  lineart: '+filterui:photo-linedrawing',
+  animated: '+filterui:photo-animatedgif',
+  face: '+filterui:face-face',
+};
+const USAGE_RIGHTS = { cl: '+filterui:licenseType-Any' };
+
+/**
+ * Builds Bing's image colour filter
+ * @param {Object} component - An ic component from parseTbs()
+ * @returns {Object|null} The qft parameter, or null if there is no match
+ */
+function toImageColor({ value, color }) {
+  if (color) return { qft: `+filterui:color2-FGcls_${color.toUpperCase()}` };
+  return IMAGE_COLORS[value] ? { qft: IMAGE_COLORS[value] } : null;
+}
+
+export default {
+  id: 'bing',
+  name: 'Bing',
+  baseUrl: 'https://www.bing.com/search',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    intext: 'inbody',
+    or: true,
+    phrase: true,
+  },
+  // Image filters are written one after the other
+  separators: { qft: '' },
+  verticals: VERTICALS,
+  params: {
+    'tbs:qdr': toTimePresetOrRange(
+      unit =>
+        TIME_PRESETS[unit] ? { filters: `ex1:"${TIME_PRESETS[unit]}"` } : null,
+      toDateRange
+    ),
+    'tbs:cdr': toDateRange,
+    'tbs:isz': ({ value }) =>
+      IMAGE_SIZES[value] ? { qft: IMAGE_SIZES[value] } : null,
+    'tbs:ic': toImageColor,
+    'tbs:itp': ({ value }) =>
+      IMAGE_TYPES[value] ? { qft: IMAGE_TYPES[value] } : null,
+    'tbs:il': ({ value }) =>
+      USAGE_RIGHTS[value] ? { qft: USAGE_RIGHTS[value] } : null,
+    safe: safeValue =>
+      SAFE_LEVELS[safeValue] ? { adlt: SAFE_LEVELS[safeValue] } : null,
+    num: numValue => {
+      const count = parseInt(numValue, 10);
+      if (!count) return null;
+      return approximately({ count: String(Math.min(count, 50)) }, count > 50);
+    },
+    start: startValue => {
+      // Bing counts results from 1
+      const offset = getResultOffset(startValue);
+      return offset ? { first: String(offset + 1) } : {};
+    },
+    ...toCountryMappers((country, params) =>
+      toLocaleParam('mkt', MARKETS, country, params)
+    ),
+    hl: hlValue => {
+      const language = normalizeLanguageCode(hlValue);
+      return language ? { setlang: language } : null;
+    },
+  },
+  pages: ['*://www.bing.com/*', '*://bing.com/*'],
+  matches: url =>
+    (url.hostname === 'www.bing.com' || url.hostname === 'bing.com') &&
+    (url.pathname === '/search' || Boolean(findVertical(VERTICALS, url))),
+  parse: url => {
+    const params = { q: url.searchParams.get('q') };
+
+    const filters = url.searchParams.get('filters') || '';
+    const preset = /ex1:"(ez[123])"/.exec(filters);
+    const range = /ex1:"ez5_(\d+)_(\d+)"/.exec(filters);
+    if (preset) {
+      params.tbs = `qdr:${findKey(TIME_PRESETS, preset[1])}`;
+    } else if (range) {
+      params.tbs = buildCustomRangeTbs(
+        fromEpochDays(range[1]),
+        fromEpochDays(range[2])
+      );
+    }
+
+    const safe = findKey(SAFE_LEVELS, url.searchParams.get('adlt'));
+    if (safe) params.safe = safe;
+
+    const count = url.searchParams.get('count');
+    if (count) params.num = count;
+
+    const first = parseInt(url.searchParams.get('first'), 10);
+    if (first > 1) params.start = String(first - 1);
+
+    const vertical = findVertical(VERTICALS, url);
+    if (vertical) params.tbm = vertical;
+
+    return params;
+  },
+};
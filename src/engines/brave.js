@@ -0,0 +1,149 @@
+/**
+ * Brave Search engine adapter
+ */
+
+import {
+  findNearestLanguage,
+  parseLanguageList,
+  toCountryMappers,
+  toCountryParam,
+} from '../locales.js';
+import {
+  getPageNumber,
+  hasDefaultPageSize,
+  toResultOffset,
+} from '../paging.js';
+import {
+  approximately,
+  buildCustomRangeTbs,
+  findKey,
+  findVertical,
+  formatIsoDate,
+  parseIsoDate,
+  toTimePresetOrRange,
+  toVerticals,
+} from './shared.js';
+
+const TIME_RANGES = { d: 'pd', w: 'pw', m: 'pm', y: 'py' };
+
+/**
+ * Builds Brave's custom date range filter
+ * @param {{min: Date|null, max: Date|null}} range - The date range
+ * @returns {Object|null} The tf parameter, or null without a start date
+ */
+function toDateRange({ min, max }) {
+  if (!min) return null;
+  return { tf: `${formatIsoDate(min)}to${formatIsoDate(max || new Date())}` };
+}
+
+const SAFE_LEVELS = {
+  active: 'strict',
+  strict: 'strict',
+  images: 'moderate',
+  off: 'off',
+};
+
+// Countries Brave has a region for (country)
+const COUNTRIES = (
+  'AR AU AT BE BR CA CL DK FI FR DE HK IN ID IT JP KR MY ' +
+  'MX NL NZ NO CN PL PT PH RU SA ZA ES SE CH TW TR GB US'
+).split(' ');
+
+// Brave result languages (search_lang) by language tag: the tag in lower
+// case, except for Japanese
+const LANGUAGES = Object.fromEntries(
+  (
+    'ar eu bn bg ca zh-Hans zh-Hant hr cs da nl en en-GB et fi fr gl de gu he ' +
+    'hi hu is it ja kn ko lv lt ms ml mr nb pl pt-BR pt-PT pa ro ru sr sk sl ' +
+    'es sv ta te th tr uk vi'
+  )
+    .split(' ')
+    .map(tag => [tag, tag === 'ja' ? 'jp' : tag.toLowerCase()])
+);
+
+// Results pages for Google's search verticals (tbm)
+const VERTICALS = toVerticals('https://search.brave.com/', {
+  isch: 'images',
+  vid: 'videos',
+  nws: 'news',
+});
+
+export default {
+  id: 'brave',
+  name: 'Brave Search',
+  baseUrl: 'https://search.brave.com/search',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    intext: 'inbody',
+    or: true,
+    phrase: true,
+    bang: true,
+  },
+  verticals: VERTICALS,
+  params: {
+    'tbs:qdr': toTimePresetOrRange(
+      unit => (TIME_RANGES[unit] ? { tf: TIME_RANGES[unit] } : null),
+      toDateRange
+    ),
+    'tbs:cdr': toDateRange,
+    safe: safeValue =>
+      SAFE_LEVELS[safeValue] ? { safesearch: SAFE_LEVELS[safeValue] } : null,
+    start: (startValue, params) => {
+      // Brave numbers pages from 0 and only goes to the 10th
+      const page = getPageNumber(startValue, params);
+      const offset = Math.min(page, 10) - 1;
+      return approximately(
+        offset > 0 ? { offset: String(offset) } : {},
+        page > 10 || !hasDefaultPageSize(params)
+      );
+    },
+    // Brave's own "Search instead for" turns spellcheck off
+    nfpr: nfprValue => (nfprValue === '1' ? { spellcheck: '0' } : null),
+    ...toCountryMappers(country =>
+      toCountryParam('country', COUNTRIES, country)
+    ),
+    lr: lrValue => {
+      const language = findNearestLanguage(
+        Object.keys(LANGUAGES),
+        parseLanguageList(lrValue)[0]
+      );
+      return language ? { search_lang: LANGUAGES[language] } : null;
+    },
+  },
+  pages: ['*://search.brave.com/*'],
+  matches: url =>
+    url.hostname === 'search.brave.com' &&
+    (url.pathname === '/search' || Boolean(findVertical(VERTICALS, url))),
+  parse: url => {
+    const params = { q: url.searchParams.get('q') };
+
+    const tf = url.searchParams.get('tf') || '';
+    const range = /^(\d{4}-\d{2}-\d{2})to(\d{4}-\d{2}-\d{2})$/.exec(tf);
+    const unit = findKey(TIME_RANGES, tf);
+    if (unit) {
+      params.tbs = `qdr:${unit}`;
+    } else if (range) {
+      params.tbs = buildCustomRangeTbs(
+        parseIsoDate(range[1]),
+        parseIsoDate(range[2])
+      );
+    }
+
+    const safe = findKey(SAFE_LEVELS, url.searchParams.get('safesearch'));
+    if (safe) params.safe = safe;
+
+    if (url.searchParams.get('spellcheck') === '0') params.nfpr = '1';
+
+    const offset = parseInt(url.searchParams.get('offset'), 10);
+    const start = toResultOffset(offset + 1);
+    if (start) params.start = start;
+
+    const vertical = findVertical(VERTICALS, url);
+    if (vertical) params.tbm = vertical;
+
+    return params;
+  },
+};
@@ -0,0 +1,189 @@
+/**
+ * DuckDuckGo search engine adapter
+ */
+
+import {
+  getSelectedCountry,
+  normalizeLanguageCode,
+  toCountryMappers,
+  toLocaleParam,
+} from '../locales.js';
+import {
+  approximately,
+  buildCustomRangeTbs,
+  findKey,
+  findVertical,
+  formatIsoDate,
+  parseIsoDate,
+  toTimePresetOrRange,
+  toVerticals,
+} from './shared.js';
+
+const SAFE_LEVELS = {
+  active: '1',
+  strict: '1',
+  images: '-1',
+  off: '-2',
+};
+
+/**
+ * Builds DuckDuckGo's custom date range filter
+ * @param {{min: Date|null, max: Date|null}} range - The date range
+ * @returns {Object|null} The df parameter, or null without a start date
+ */
+function toDateRange({ min, max }) {
+  if (!min) return null;
+  return { df: `${formatIsoDate(min)}..${formatIsoDate(max || new Date())}` };
+}
+
+// DuckDuckGo regions (kl) by locale: the country and language codes in
+// reverse ('de-CH' is 'ch-de'), except for these
+const REGION_EXCEPTIONS = {
+  'ca-ES': 'ct-ca',
+  'zh-HK': 'hk-tzh',
+  'ja-JP': 'jp-jp',
+  'ko-KR': 'kr-kr',
+  'es-419': 'xl-es',
+  'nb-NO': 'no-no',
+  'fil-PH': 'ph-tl',
+  'sl-SI': 'sl-sl',
+  'zh-TW': 'tw-tzh',
+  'en-GB': 'uk-en',
+  'es-US': 'ue-es',
+};
+const REGIONS = Object.fromEntries(
+  (
+    'es-AR en-AU de-AT fr-BE nl-BE pt-BR bg-BG en-CA fr-CA ca-ES es-CL zh-CN ' +
+    'es-CO hr-HR cs-CZ da-DK et-EE fi-FI fr-FR de-DE el-GR zh-HK hu-HU en-IN ' +
+    'id-ID en-ID en-IE he-IL it-IT ja-JP ko-KR lv-LV lt-LT es-419 ms-MY en-MY ' +
+    'es-MX nl-NL en-NZ nb-NO es-PE en-PH fil-PH pl-PL pt-PT ro-RO ru-RU en-SG ' +
+    'sk-SK sl-SI en-ZA es-ES sv-SE de-CH fr-CH it-CH zh-TW th-TH tr-TR uk-UA ' +
+    'en-GB en-US es-US vi-VN'
+  )
+    .split(' ')
+    .map(locale => {
+      const [language, country] = locale.split('-');
+      return [
+        locale,
+        REGION_EXCEPTIONS[locale] || `${country.toLowerCase()}-${language}`,
+      ];
+    })
+);
+
+// Results pages for Google's search verticals (tbm)
+const VERTICALS = toVerticals('https://duckduckgo.com/', {
+  isch: '?ia=images&iax=images',
+  vid: '?ia=videos&iax=videos',
+  nws: '?ia=news&iar=news',
+  shop: '?ia=shopping&iax=shopping',
+});
+
+// Image filters (iaf) by Google tbs component
+const IMAGE_SIZES = { l: 'size:Large', m: 'size:Medium', i: 'size:Small' };
+const IMAGE_COLORS = { gray: 'color:Monochrome', trans: 'type:transparent' };
+const IMAGE_TYPES = {
+  photo: 'type:photo',
+  clipart: 'type:clipart',
+  lineart: 'type:line',
+  animated: 'type:gif',
+};
+const USAGE_RIGHTS = { cl: 'license:Any' };
+
+/**
+ * Builds DuckDuckGo's image colour filter
+ * @param {Object} component - An ic component from parseTbs()
+ * @returns {Object|null} The iaf parameter, or null if there is no match
+ */
+function toImageColor({ value, color }) {
+  if (color) {
+    return { iaf: `color:${color[0].toUpperCase()}${color.slice(1)}` };
+  }
+  return IMAGE_COLORS[value] ? { iaf: IMAGE_COLORS[value] } : null;
+}
+
+const HOSTNAMES = [
+  'duckduckgo.com',
+  'html.duckduckgo.com',
+  'lite.duckduckgo.com',
+];
+
+export default {
+  id: 'duckduckgo',
+  name: 'DuckDuckGo',
+  baseUrl: 'https://duckduckgo.com/',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    inurl: true,
+    or: true,
+    phrase: true,
+    bang: true,
+  },
+  verticals: VERTICALS,
+  params: {
+    'tbs:qdr': toTimePresetOrRange(
+      unit => (unit !== 'h' ? { df: unit } : null),
+      toDateRange
+    ),
+    'tbs:cdr': toDateRange,
+    'tbs:isz': ({ value }) =>
+      IMAGE_SIZES[value] ? { iaf: IMAGE_SIZES[value] } : null,
+    'tbs:ic': toImageColor,
+    'tbs:itp': ({ value }) =>
+      IMAGE_TYPES[value] ? { iaf: IMAGE_TYPES[value] } : null,
+    'tbs:il': ({ value }) =>
+      USAGE_RIGHTS[value] ? { iaf: USAGE_RIGHTS[value] } : null,
+    safe: safeValue =>
+      SAFE_LEVELS[safeValue] ? { kp: SAFE_LEVELS[safeValue] } : null,
+    num: numValue => {
+      const count = parseInt(numValue, 10);
+      if (!count) return null;
+      // DuckDuckGo has no page size, but it can load all results at once
+      return approximately({ kav: count > 10 ? '1' : '-1' });
+    },
+    // kl is one setting for the country and the language
+    ...toCountryMappers((country, params) =>
+      toLocaleParam('kl', REGIONS, country, params)
+    ),
+    // No language filter, but a region speaking the language comes close
+    lr: (lrValue, params, selected) =>
+      approximately(
+        toLocaleParam('kl', REGIONS, getSelectedCountry(selected), params)
+      ),
+    hl: hlValue => {
+      const language = normalizeLanguageCode(hlValue);
+      if (!language) return null;
+      // kad is a locale; languages without a likely country have none
+      const locale = new Intl.Locale(language).maximize();
+      return locale.region
+        ? { kad: `${locale.language}_${locale.region}` }
+        : null;
+    },
+  },
+  pages: HOSTNAMES.map(hostname => `*://${hostname}/*`),
+  matches: url => HOSTNAMES.includes(url.hostname) && url.searchParams.has('q'),
+  parse: url => {
+    const params = { q: url.searchParams.get('q') };
+
+    const df = url.searchParams.get('df') || '';
+    const range = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(df);
+    if (/^[dwmy]$/.test(df)) {
+      params.tbs = `qdr:${df}`;
+    } else if (range) {
+      params.tbs = buildCustomRangeTbs(
+        parseIsoDate(range[1]),
+        parseIsoDate(range[2])
+      );
+    }
+
+    const safe = findKey(SAFE_LEVELS, url.searchParams.get('kp'));
+    if (safe) params.safe = safe;
+
+    const vertical = findVertical(VERTICALS, url);
+    if (vertical) params.tbm = vertical;
+
+    return params;
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Ecosia search engine adapter
+ */
+
+import { getPageNumber, hasDefaultPageSize } from '../paging.js';
+import { approximately, roundUpToTimePreset, toVerticals } from './shared.js';
+
+const TIME_RANGES = { d: 'day', w: 'week', m: 'month', y: 'year' };
+
+export default {
+  id: 'ecosia',
+  name: 'Ecosia',
+  baseUrl: 'https://www.ecosia.org/search',
+  queryParam: 'q',
+  // Ecosia serves Bing results and accepts Bing's operators
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    intext: 'inbody',
+    or: true,
+    phrase: true,
+  },
+  verticals: toVerticals('https://www.ecosia.org/', {
+    isch: 'images',
+    vid: 'videos',
+    nws: 'news',
+  }),
+  params: {
+    'tbs:qdr': roundUpToTimePreset('freshness', TIME_RANGES),
+    start: (startValue, params) => {
+      // Ecosia numbers pages from 0
+      const page = getPageNumber(startValue, params);
+      return approximately(
+        page > 1 ? { p: String(page - 1) } : {},
+        !hasDefaultPageSize(params)
+      );
+    },
+  },
+};
@@ -0,0 +1,100 @@
+/**
+ * Google search engine adapter
+ *
+ * Google's parameter names are the shared vocabulary of every adapter, so
+ * as a target the parameters are passed through unchanged.
+ */
+
+// google.com, google.de, google.co.uk, google.com.hk, google.cat, ...
+const HOSTNAME_PATTERN = /^(?:www\.)?google\.(com|cat|(?:com?\.)?[a-z]{2})$/;
+
+const SEARCH_PATHS = ['/search', '/webhp', '/'];
+
+// Country code TLDs that differ from the ISO 3166 code Google uses for gl
+const TLD_COUNTRIES = { uk: 'gb' };
+
+/**
+ * Works out the country implied by a regional Google domain
+ * @param {string} hostname - The page hostname (e.g., 'www.google.co.jp')
+ * @returns {string|null} Lowercase country code, or null for google.com
+ */
+function getDomainCountry(hostname) {
+  const match = HOSTNAME_PATTERN.exec(hostname);
+  if (!match) return null;
+  const tld = match[1].split('.').pop();
+  if (tld === 'com' || tld === 'cat') return null;
+  return TLD_COUNTRIES[tld] || tld;
+}
+
+/**
+ * Reads the query-string and hash parameters of a Google URL
+ *
+ * /webhp and instant-search URLs keep the search in the hash (#q=...),
+ * which wins over the query string because it holds the latest search.
+ * @param {URL} url - The page URL
+ * @returns {Object} The combined parameters
+ */
+function getSearchParams(url) {
+  return {
+    ...Object.fromEntries(url.searchParams.entries()),
+    ...Object.fromEntries(
+      new URLSearchParams(url.hash.replace(/^#/, '')).entries()
+    ),
+  };
+}
+
+const PASSTHROUGH_PARAMS = [
+  'lr',
+  'cr',
+  'num',
+  'safe',
+  'start',
+  'tbm',
+  'hl',
+  'gl',
+  'nfpr',
+  'filter',
+];
+
+export default {
+  id: 'google',
+  name: 'Google',
+  baseUrl: 'https://www.google.com/search',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    inurl: true,
+    intext: true,
+    before: true,
+    after: true,
+    or: true,
+    around: true,
+    phrase: true,
+  },
+  params: {
+    ...Object.fromEntries(
+      PASSTHROUGH_PARAMS.map(paramName => [
+        paramName,
+        value => (value ? { [paramName]: value } : null),
+      ])
+    ),
+    // Every tbs component goes back into tbs as written
+    'tbs:*': component => ({ tbs: component.raw }),
+  },
+  pages: ['*://www.google.*/*', '*://google.*/*'],
+  matches: url => {
+    if (!HOSTNAME_PATTERN.test(url.hostname)) return false;
+    if (url.pathname === '/search') return true;
+    // The home page only counts when it shows results for a hash query
+    return SEARCH_PATHS.includes(url.pathname) && 'q' in getSearchParams(url);
+  },
+  parse: url => {
+    const params = getSearchParams(url);
+    // Regional domains imply a country, preserved like an explicit gl
+    const country = getDomainCountry(url.hostname);
+    if (country && !params.gl) params.gl = country;
+    return params;
+  },
+};
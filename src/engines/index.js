@@ -0,0 +1,104 @@
+/**
+ * Registry of target search engine adapters
+ *
+ * An adapter describes one search engine:
+ * - id: Unique identifier, also used as the bookmarklet name
+ * - name: Display name
+ * - baseUrl: URL of the engine's web results page
+ * - queryParam: Name of the engine's search query parameter
+ * - operators: Query operators the engine understands, keyed by name ('site',
+ *   'filetype', 'intitle', 'inurl', 'intext', 'before', 'after', 'or',
+ *   'around', 'phrase', 'bang'). The value is true, or the engine's own
+ *   operator name.
+ * - params: Mappers keyed by Google parameter name, or 'tbs:<type>' for a
+ *   component of Google's tbs parameter ('tbs:*' matches any component).
+ *   Each receives the Google value (the parsed component for tbs), all
+ *   Google parameters and the selected ones, and returns the engine
+ *   parameters to set, or null when the value has no equivalent.
+ * - separators (optional): Separators for engine parameters that several
+ *   tbs components can set, keyed by parameter name (',' if not listed)
+ * - verticals (optional): Search verticals the engine offers, keyed by
+ *   Google tbm value ('isch', 'vid', 'nws', 'shop', 'bks'). Each has the url
+ *   of the engine's results page for it and, for engines that pick the
+ *   vertical with a parameter, the params to add; toVerticals() in
+ *   ./shared.js builds them from each page's address.
+ * - matches (optional): Receives a URL object and tells whether it is one of
+ *   the engine's search results pages
+ * - parse (optional): Receives a matching URL object and returns its query
+ *   and filters as Google parameters, so any source can feed any target
+ * - pages (optional): URL globs covering the engine's results pages ('*'
+ *   matches anything, the hostname included), where the userscript and the
+ *   browser extension run; matches still decides which pages count
+ */
+
+import bing from './bing.js';
+import brave from './brave.js';
+import duckduckgo from './duckduckgo.js';
+import ecosia from './ecosia.js';
+import google from './google.js';
+import kagi from './kagi.js';
+import mojeek from './mojeek.js';
+import startpage from './startpage.js';
+
+const engines = {};
+
+/**
+ * Adds a search engine adapter to the registry
+ * @param {Object} adapter - The engine adapter
+ * @returns {Object} The registered adapter
+ */
+export function registerEngine(adapter) {
+  if (!adapter || !adapter.id || !adapter.baseUrl) {
+    throw new Error('Search engine adapters need an id and a baseUrl');
+  }
+  engines[adapter.id] = {
+    queryParam: 'q',
+    operators: {},
+    params: {},
+    separators: {},
+    verticals: {},
+    pages: [],
+    ...adapter,
+  };
+  return engines[adapter.id];
+}
+
+/**
+ * Looks up a registered search engine adapter
+ * @param {string} id - The engine identifier (e.g., 'duckduckgo')
+ * @returns {Object|null} The adapter, or null if not registered
+ */
+export function getEngine(id) {
+  return engines[id] || null;
+}
+
+/**
+ * Lists all registered search engine adapters
+ * @returns {Object[]} The adapters in registration order
+ */
+export function getEngines() {
+  return Object.values(engines);
+}
+
+/**
+ * Finds the engine whose search results page a URL belongs to
+ * @param {string} url - The page URL
+ * @returns {Object|null} The source engine adapter, or null if unsupported
+ */
+export function findSourceEngine(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return null;
+  }
+  return (
+    getEngines().find(
+      engine => engine.parse && engine.matches && engine.matches(parsedUrl)
+    ) || null
+  );
+}
+
+[google, duckduckgo, bing, brave, startpage, ecosia, kagi, mojeek].forEach(
+  registerEngine
+);
@@ -0,0 +1,40 @@
+/**
+ * Kagi search engine adapter
+ */
+
+import { toCountryMappers, toCountryParam } from '../locales.js';
+import { roundUpToTimePreset, toVerticals } from './shared.js';
+
+const TIME_RANGES = { d: '1', w: '2', m: '3', y: '4' };
+
+// Countries Kagi has a region for (r)
+const COUNTRIES = (
+  'AR AU AT BE BR BG CA CL CN CO HR CZ DK EE FI FR DE GR HK HU IN ID IE IL ' +
+  'IT JP KR LV LT MY MX NL NZ NO PE PH PL PT RO RU SA SG SK SI ZA ES SE CH ' +
+  'TW TH TR UA AE GB US VN'
+).split(' ');
+
+export default {
+  id: 'kagi',
+  name: 'Kagi',
+  baseUrl: 'https://kagi.com/search',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    inurl: true,
+    or: true,
+    phrase: true,
+    bang: true,
+  },
+  verticals: toVerticals('https://kagi.com/', {
+    isch: 'images',
+    vid: 'videos',
+    nws: 'news',
+  }),
+  params: {
+    'tbs:qdr': roundUpToTimePreset('dr', TIME_RANGES),
+    ...toCountryMappers(country => toCountryParam('r', COUNTRIES, country)),
+  },
+};
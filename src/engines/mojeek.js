@@ -0,0 +1,86 @@
+/**
+ * Mojeek search engine adapter
+ */
+
+import {
+  findNearestLanguage,
+  parseLanguageList,
+  toCountryMappers,
+  toCountryParam,
+} from '../locales.js';
+import { getResultOffset } from '../paging.js';
+import { getQdrRange } from '../tbs.js';
+import { approximately, formatIsoDate, toVerticals } from './shared.js';
+
+// Countries Mojeek can boost results from (arc)
+const COUNTRIES = (
+  'AU AT BE BR BG CA HR CZ DK EE FI FR DE GR HU IN IE IT JP LV LT MX NL NZ ' +
+  'NO PL PT RO RU SK SI ZA ES SE CH TR UA GB US'
+).split(' ');
+
+// Languages Mojeek can boost results in (lb), by language tag: the tag
+// itself, except for Norwegian
+const LANGUAGES = Object.fromEntries(
+  'da de en es fi fr it ja nb nl pl pt ru sv zh'
+    .split(' ')
+    .map(tag => [tag, tag === 'nb' ? 'no' : tag])
+);
+
+/**
+ * Builds Mojeek's date range filter, either bound may be left open
+ * @param {{min: Date|null, max: Date|null}} range - The date range
+ * @returns {Object|null} The since/before parameters
+ */
+function toDateRange({ min, max }) {
+  const params = {};
+  if (min) params.since = formatIsoDate(min, '');
+  if (max) params.before = formatIsoDate(max, '');
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+export default {
+  id: 'mojeek',
+  name: 'Mojeek',
+  baseUrl: 'https://www.mojeek.com/search',
+  queryParam: 'q',
+  operators: {
+    site: true,
+    intitle: true,
+    inurl: true,
+    phrase: true,
+  },
+  verticals: toVerticals('https://www.mojeek.com/search', {
+    isch: '?fmt=images',
+  }),
+  params: {
+    // Dates are by the day, so hours come out approximate
+    'tbs:qdr': component =>
+      approximately(
+        toDateRange({ min: getQdrRange(component).min }),
+        component.unit === 'h'
+      ),
+    'tbs:cdr': toDateRange,
+    safe: safeValue => {
+      const safeLevels = { active: '1', strict: '1', off: '0' };
+      return safeLevels[safeValue] ? { safe: safeLevels[safeValue] } : null;
+    },
+    num: numValue => {
+      const count = parseInt(numValue, 10);
+      if (!count) return null;
+      return approximately({ t: String(Math.min(count, 100)) }, count > 100);
+    },
+    start: startValue => {
+      // Mojeek counts results from 1
+      const offset = getResultOffset(startValue);
+      return offset ? { s: String(offset + 1) } : {};
+    },
+    ...toCountryMappers(country => toCountryParam('arc', COUNTRIES, country)),
+    lr: lrValue => {
+      const language = findNearestLanguage(
+        Object.keys(LANGUAGES),
+        parseLanguageList(lrValue)[0]
+      );
+      return language ? { lb: LANGUAGES[language] } : null;
+    },
+  },
+};
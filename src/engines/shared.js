@@ -0,0 +1,157 @@
+/**
+ * Helpers shared by the search engine adapters
+ */
+
+import { getQdrRange, isExactTimeUnit, roundUpTimeUnit } from '../tbs.js';
+
+/**
+ * Formats a date as YYYY-MM-DD (or YYYYMMDD with an empty separator)
+ * @param {Date} date - The date to format
+ * @param {string} [separator] - Separator between the date parts
+ * @returns {string} The formatted date
+ */
+export function formatIsoDate(date, separator = '-') {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return [year, month, day].join(separator);
+}
+
+/**
+ * Formats a date the way Google's custom date range expects (M/D/YYYY)
+ * @param {Date} date - The date to format
+ * @returns {string} The formatted date
+ */
+export function formatGoogleDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+/**
+ * Builds Google's tbs value for a custom date range
+ * @param {Date|null} start - First day of the range
+ * @param {Date|null} end - Last day of the range
+ * @returns {string} The tbs value (e.g., 'cdr:1,cd_min:1/1/2024,cd_max:6/30/2024')
+ */
+export function buildCustomRangeTbs(start, end) {
+  const parts = ['cdr:1'];
+  if (start) parts.push(`cd_min:${formatGoogleDate(start)}`);
+  if (end) parts.push(`cd_max:${formatGoogleDate(end)}`);
+  return parts.join(',');
+}
+
+/**
+ * Parses a YYYY-MM-DD date as a local date
+ * @param {string} value - The date string
+ * @returns {Date|null} The date, or null if the string is not a valid date
+ */
+export function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Finds the key in a lookup table whose value matches
+ * @param {Object} table - Lookup table
+ * @param {string} value - Value to look for
+ * @returns {string|undefined} The matching key
+ */
+export function findKey(table, value) {
+  return Object.keys(table).find(key => table[key] === value);
+}
+
+/**
+ * Builds an engine's verticals table from the address of each results page
+ * @param {string} baseUrl - URL the addresses are relative to
+ * @param {Object} pages - Address of each vertical's results page, keyed by
+ *   tbm value: a path ('images/search'), a query ('?ia=images') or both
+ * @returns {Object} The verticals, with the url of each page and the params
+ *   that pick the vertical (see the registry in ./index.js)
+ */
+export function toVerticals(baseUrl, pages) {
+  return Object.fromEntries(
+    Object.keys(pages).map(tbm => {
+      const url = new URL(pages[tbm], baseUrl);
+      const params = Object.fromEntries(url.searchParams);
+      return [tbm, { url: `${url.origin}${url.pathname}`, params }];
+    })
+  );
+}
+
+/**
+ * Finds the search vertical a results page belongs to
+ * @param {Object} verticals - The engine's verticals, keyed by tbm value
+ * @param {URL} url - The page URL
+ * @returns {string|undefined} Google's tbm value for the vertical
+ */
+export function findVertical(verticals, url) {
+  return Object.keys(verticals).find(tbm => {
+    const { url: verticalUrl, params = {} } = verticals[tbm];
+    return (
+      new URL(verticalUrl).pathname === url.pathname &&
+      Object.keys(params).every(
+        name => url.searchParams.get(name) === params[name]
+      )
+    );
+  });
+}
+
+// Marks engine parameters that only come close to the Google setting
+const APPROXIMATE = Symbol('approximate');
+
+/**
+ * Marks a mapper's result as an approximation of the Google setting (e.g.,
+ * "past 3 days" rounded up to "past week", or a neighbouring region)
+ * @param {Object|null} params - Engine parameters returned by a mapper
+ * @param {boolean} [condition] - Only mark them if this is true
+ * @returns {Object|null} The same parameters, marked if need be, or null
+ */
+export function approximately(params, condition = true) {
+  if (!params || !condition) return params || null;
+  const marked = { ...params };
+  Object.defineProperty(marked, APPROXIMATE, { value: true });
+  return marked;
+}
+
+/**
+ * Tells whether a mapper's result was marked with approximately()
+ * @param {Object|null} params - Engine parameters returned by a mapper
+ * @returns {boolean} Whether the parameters are an approximation
+ */
+export function isApproximate(params) {
+  return Boolean(params && params[APPROXIMATE]);
+}
+
+/**
+ * Makes the 'tbs:qdr' mapper of an engine that only has presets for some
+ * time units: other spans get the closest preset that covers them
+ * @param {string} paramName - The engine's time parameter
+ * @param {Object} values - Its value for each time unit it has (e.g.,
+ *   { d: 'day', w: 'week' })
+ * @returns {Function} The mapper
+ */
+export function roundUpToTimePreset(paramName, values) {
+  return component => {
+    const unit = roundUpTimeUnit(component, Object.keys(values));
+    if (!unit) return null;
+    return approximately(
+      { [paramName]: values[unit] },
+      !isExactTimeUnit(component, unit)
+    );
+  };
+}
+
+/**
+ * Makes the 'tbs:qdr' mapper of an engine with presets for some spans and
+ * date ranges for any span: spans without a preset (past hour, past 3
+ * days, ...) become a range, by the day
+ * @param {Function} toPreset - Gives the engine parameters for one unit of
+ *   time ('d', 'w', ...), or null if the engine has no preset for it
+ * @param {Function} toDateRange - The engine's 'tbs:cdr' mapper
+ * @returns {Function} The mapper
+ */
+export function toTimePresetOrRange(toPreset, toDateRange) {
+  return component =>
+    (component.count === 1 && toPreset(component.unit)) ||
+    approximately(toDateRange(getQdrRange(component)), component.unit === 'h');
+}
@@ -0,0 +1,147 @@
+/**
+ * Startpage search engine adapter
+ */
+
+import {
+  findNearestLanguage,
+  normalizeLanguageCode,
+  parseLanguageList,
+} from '../locales.js';
+import {
+  getPageNumber,
+  hasDefaultPageSize,
+  toResultOffset,
+} from '../paging.js';
+import {
+  approximately,
+  findKey,
+  findVertical,
+  roundUpToTimePreset,
+  toVerticals,
+} from './shared.js';
+
+// Time presets (with_date), one per unit
+const TIME_RANGES = { d: 'd', w: 'w', m: 'm', y: 'y' };
+
+const SAFE_LEVELS = {
+  active: 'heavy',
+  strict: 'heavy',
+  off: 'none',
+};
+
+const SEARCH_PATHS = ['/sp/search', '/do/search', '/do/dsearch'];
+
+// Results pages for Google's search verticals (tbm)
+const VERTICALS = toVerticals('https://www.startpage.com/sp/search', {
+  isch: '?cat=images',
+  vid: '?cat=video',
+  nws: '?cat=news',
+});
+
+// Startpage names its result and interface languages in the language itself
+const LANGUAGES = {
+  ar: 'arabic',
+  bg: 'bulgarian',
+  cs: 'czech',
+  da: 'dansk',
+  de: 'deutsch',
+  el: 'greek',
+  en: 'english',
+  'en-GB': 'english_uk',
+  es: 'espanol',
+  fi: 'suomi',
+  fr: 'francais',
+  he: 'hebrew',
+  hi: 'hindi',
+  hu: 'hungarian',
+  id: 'indonesian',
+  it: 'italiano',
+  ja: 'nihongo',
+  ko: 'hangul',
+  nb: 'norsk',
+  nl: 'nederlands',
+  pl: 'polski',
+  pt: 'portugues',
+  ro: 'romanian',
+  ru: 'russian',
+  sv: 'svenska',
+  th: 'thai',
+  tr: 'turkce',
+  uk: 'ukrainian',
+  vi: 'vietnamese',
+  'zh-Hans': 'jiantizhongwen',
+  'zh-Hant': 'fantizhengwen',
+};
+
+/**
+ * Looks up Startpage's name for a language
+ * @param {string|null} language - Language tag
+ * @returns {string|null} The language name, or null if Startpage lacks it
+ */
+function toLanguageName(language) {
+  const match = findNearestLanguage(Object.keys(LANGUAGES), language);
+  return match ? LANGUAGES[match] : null;
+}
+
+export default {
+  id: 'startpage',
+  name: 'Startpage',
+  baseUrl: 'https://www.startpage.com/sp/search',
+  queryParam: 'query',
+  // Startpage serves Google results and accepts Google's operators
+  operators: {
+    site: true,
+    filetype: true,
+    intitle: true,
+    inurl: true,
+    intext: true,
+    or: true,
+    phrase: true,
+  },
+  verticals: VERTICALS,
+  params: {
+    'tbs:qdr': roundUpToTimePreset('with_date', TIME_RANGES),
+    safe: safeValue =>
+      SAFE_LEVELS[safeValue] ? { qadf: SAFE_LEVELS[safeValue] } : null,
+    start: (startValue, params) => {
+      const page = getPageNumber(startValue, params);
+      return approximately(
+        page > 1 ? { page: String(page) } : {},
+        !hasDefaultPageSize(params)
+      );
+    },
+    lr: lrValue => {
+      const name = toLanguageName(parseLanguageList(lrValue)[0]);
+      return name ? { language: name } : null;
+    },
+    hl: hlValue => {
+      const name = toLanguageName(normalizeLanguageCode(hlValue));
+      return name ? { lui: name } : null;
+    },
+  },
+  pages: ['*://www.startpage.com/*', '*://startpage.com/*'],
+  matches: url =>
+    (url.hostname === 'www.startpage.com' ||
+      url.hostname === 'startpage.com') &&
+    SEARCH_PATHS.includes(url.pathname),
+  parse: url => {
+    // Older result pages use 'q' instead of 'query'
+    const params = {
+      q: url.searchParams.get('query') || url.searchParams.get('q'),
+    };
+
+    const withDate = url.searchParams.get('with_date');
+    if (/^[dwmy]$/.test(withDate || '')) params.tbs = `qdr:${withDate}`;
+
+    const safe = findKey(SAFE_LEVELS, url.searchParams.get('qadf'));
+    if (safe) params.safe = safe;
+
+    const start = toResultOffset(parseInt(url.searchParams.get('page'), 10));
+    if (start) params.start = start;
+
+    const vertical = findVertical(VERTICALS, url);
+    if (vertical) params.tbm = vertical;
+
+    return params;
+  },
+};
@@ -0,0 +1,120 @@
+/**
+ * Formatting and saving of exported search results
+ */
+
+import { getParameterEntries } from './utils.js';
+
+/**
+ * Export formats with their file extension and MIME type
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+};
+
+/**
+ * Quotes a value for CSV when needed
+ * @param {*} value - The cell value
+ * @returns {string} The CSV cell
+ */
+function toCsvCell(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for use inside a Markdown link label
+ * @param {string} text - The text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Formats exported results as text
+ * @param {Object} data - The export: query, params, url, exportedAt, results
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string} The formatted export
+ */
+export function formatResults(data, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+
+    case 'markdown': {
+      const lines = [
+        `# Search results: ${data.query}`,
+        '',
+        `- Source: ${data.url}`,
+        `- Exported: ${data.exportedAt}`,
+      ];
+      const entries = getParameterEntries(data.params);
+      if (entries.length > 0) {
+        lines.push(
+          `- Parameters: ${entries.map(entry => entry.description).join(', ')}`
+        );
+      }
+      lines.push('');
+      data.results.forEach(result => {
+        lines.push(
+          `${result.rank}. [${escapeMarkdown(result.title)}](${result.url})`
+        );
+        if (result.snippet) lines.push(`   ${result.snippet}`);
+      });
+      return `${lines.join('\n')}\n`;
+    }
+
+    case 'csv': {
+      const rows = [['rank', 'title', 'url', 'snippet', 'query']];
+      data.results.forEach(result => {
+        rows.push([
+          result.rank,
+          result.title,
+          result.url,
+          result.snippet,
+          data.query,
+        ]);
+      });
+      return `${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * Builds a file name for an export
+ * @param {string} query - The search query
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string} File name (e.g., 'search-results-rust-async.json')
+ */
+export function getExportFileName(query, format) {
+  const slug = query
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `search-results-${slug || 'export'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} fileName - The file name
+ * @param {string} text - The file contents
+ * @param {string} mimeType - The file's MIME type
+ */
+export function downloadText(fileName, text, mimeType) {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
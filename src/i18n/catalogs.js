@@ -0,0 +1,21 @@
+/**
+ * Every message catalog, keyed by locale id
+ *
+ * Bookmarklet builds replace this module with one holding the build's
+ * locale only, filled in from English (see build.js): all five catalogs
+ * would make the javascript: URLs too long for a bookmark.
+ */
+
+import de from './de.js';
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import zhCN from './zh-CN.js';
+
+export default {
+  en,
+  'zh-CN': zhCN,
+  de,
+  fr,
+  es,
+};
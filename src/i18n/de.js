@@ -0,0 +1,205 @@
+/**
+ * German messages
+ */
+
+export default {
+  // Redirect dialog
+  'dialog.title': 'Suche an eine andere Suchmaschine weiterleiten',
+  'dialog.query': 'Suchanfrage:',
+  'dialog.correction': 'Autokorrektur von Google',
+  'dialog.correctedQuery': 'Korrigiert: {query}',
+  'dialog.originalQuery': 'Wie eingegeben, ohne Autokorrektur: {query}',
+  'dialog.params': 'Zu übernehmende Parameter auswählen:',
+  'dialog.queryOnly': 'Nur die Suchanfrage (keine Parameter)',
+  'dialog.noParams': 'Keine weiteren Parameter gefunden.',
+  'dialog.selectAll': 'Alle unterstützten auswählen',
+  'dialog.showAll': {
+    one: 'Alle Parameter anzeigen ({count} weiterer)',
+    other: 'Alle Parameter anzeigen ({count} weitere)',
+  },
+  'dialog.pageState': 'Seitenzustand',
+  'dialog.tracking': 'Tracking (wird nie weitergegeben)',
+  'dialog.openIn': 'Öffnen in:',
+  'dialog.unsupportedOperators':
+    'Von {engine} nicht unterstützt und weggelassen: {operators}',
+  'dialog.unsupportedVertical':
+    'Von {engine} nicht angeboten, stattdessen werden Webergebnisse geöffnet: {vertical}',
+  'dialog.copyUrls': { one: 'URL kopieren', other: 'URLs kopieren' },
+  'dialog.copied': 'Kopiert!',
+  'dialog.copyFailed': 'Kopieren fehlgeschlagen',
+  'dialog.cancel': 'Abbrechen',
+  'dialog.redirect': 'Weiterleiten',
+  'dialog.openTabs': '{count} Tabs öffnen',
+
+  // Bang picker
+  'bang.label': 'Bang:',
+  'bang.search': 'Bangs suchen, z. B. !w oder Wikipedia',
+  'bang.none': 'Kein Bang',
+  'bang.option': '!{bang} – {name}',
+  'bang.add': 'Bang hinzufügen',
+  'bang.delete': 'Löschen',
+  'bang.prompt': 'Neuer Bang (z. B. !mdn):',
+  'bang.namePrompt': 'Website, die !{bang} durchsucht:',
+  'bang.invalid': 'Kein gültiger Bang: {bang}',
+  'bang.saveFailed': 'Der Bang !{bang} konnte nicht gespeichert werden.',
+  'bang.hint':
+    'Bangs funktionieren bei {engines}; andere Suchmaschinen lassen sie weg.',
+
+  // Parameter support on the target engines
+  'support.full': 'Unterstützt',
+  'support.approximate': 'Annähernd',
+  'support.none': 'Nicht unterstützt',
+  'support.engine': '{engine}: {level}',
+
+  // Presets
+  'preset.label': 'Vorlage',
+  'preset.custom': 'Eigene Auswahl',
+  'preset.queryOnly': 'Nur Suchbegriff',
+  'preset.timeRegion': 'Zeitfilter + Region behalten',
+  'preset.configured': 'Lesezeichen-Einstellungen',
+  'preset.save': 'Als Vorlage speichern',
+  'preset.delete': 'Löschen',
+  'preset.namePrompt': 'Name der Vorlage:',
+  'preset.saveFailed': 'Die Vorlage „{name}“ konnte nicht gespeichert werden.',
+  'preset.useDefault':
+    'Diese Vorlage ohne Nachfrage verwenden (Umschalt drücken oder im Hinweis „Weiterleitung…“ auf Optionen klicken, um diesen Dialog zu sehen)',
+  'preset.rememberLast': 'Meine letzte Auswahl merken',
+  'preset.quickRedirect':
+    'Weiterleitung zu {engine} mit „{preset}“… Umschalt drücken oder auf Optionen klicken, um auszuwählen.',
+  'preset.options': 'Optionen',
+  'preset.dropped': 'Von {engine} nicht unterstützt, weggelassen: {params}',
+
+  // Blocked tabs panel
+  'links.title': 'Einige Tabs wurden blockiert',
+  'links.message': {
+    one: 'Der Popup-Blocker Ihres Browsers hat {count} Tab blockiert. Hier können Sie ihn öffnen:',
+    other:
+      'Der Popup-Blocker Ihres Browsers hat {count} Tabs blockiert. Hier können Sie sie öffnen:',
+  },
+  'links.close': 'Schließen',
+
+  // Engine bar of the userscript and extension
+  'bar.label': 'Diese Suche in einer anderen Suchmaschine öffnen',
+  'bar.openIn': 'Öffnen in:',
+  'bar.hide': 'Ausblenden',
+
+  // Export dialog
+  'export.title': 'Suchergebnisse exportieren',
+  'export.summary': {
+    one: '{count} Ergebnis für „{query}“',
+    other: '{count} Ergebnisse für „{query}“',
+  },
+  'export.download': 'Herunterladen',
+  'export.copy': 'Kopieren',
+  'export.close': 'Schließen',
+
+  // Errors
+  'error.unknownEngine': 'Unbekannte Suchmaschine: {engine}',
+  'error.notSearchPage':
+    'Dieses Lesezeichen funktioniert nur auf Ergebnisseiten von: {engines}.\n\nBitte öffnen Sie eine Suchergebnisseite und versuchen Sie es erneut.',
+  'error.notGooglePage':
+    'Dieses Lesezeichen funktioniert nur auf Google-Suchergebnisseiten.\n\nBitte öffnen Sie eine Google-Suchergebnisseite und versuchen Sie es erneut.',
+  'error.noQuery': 'Auf dieser Seite wurde keine Suchanfrage gefunden.',
+  'error.noResults': 'Auf dieser Seite wurden keine Suchergebnisse gefunden.',
+
+  // Parameter descriptions
+  'param.q': 'Suchanfrage',
+  'param.lr': { one: 'Sprache: {value}', other: 'Sprachen: {value}' },
+  'param.cr': { one: 'Land: {value}', other: 'Länder: {value}' },
+  'param.num': 'Anzahl der Ergebnisse: {value}',
+  'param.start': 'Seite {page}',
+  'param.safe': 'SafeSearch: {value}',
+  'param.tbm': 'Suchtyp: {value}',
+  'param.tbs_qdr': 'Zeitraum: {value}',
+  'param.source': 'Quelle',
+  'param.nfpr': 'Autokorrektur: Aus',
+  'param.nfprOn': 'Autokorrektur: Ein',
+  'param.hl': 'Sprache der Oberfläche: {value}',
+  'param.gl': 'Region: {value}',
+  'param.other': '{name}: {value}',
+
+  'safe.active': 'Aktiv',
+  'safe.off': 'Aus',
+  'safe.images': 'Bilder',
+
+  'tbm.isch': 'Bilder',
+  'tbm.vid': 'Videos',
+  'tbm.nws': 'News',
+  'tbm.shop': 'Shopping',
+  'tbm.bks': 'Bücher',
+  'tbm.fin': 'Finanzen',
+
+  'timeRange.d': 'Letzte 24 Stunden',
+  'timeRange.w': 'Letzte Woche',
+  'timeRange.m': 'Letzter Monat',
+  'timeRange.y': 'Letztes Jahr',
+
+  // Components of Google's tbs parameter
+  'tbs.any': 'Zeitfilter',
+  'tbs.qdr.h': {
+    one: 'Zeitfilter: Letzte Stunde',
+    other: 'Zeitfilter: Letzte {count} Stunden',
+  },
+  'tbs.qdr.d': {
+    one: 'Zeitfilter: Letzte 24 Stunden',
+    other: 'Zeitfilter: Letzte {count} Tage',
+  },
+  'tbs.qdr.w': {
+    one: 'Zeitfilter: Letzte Woche',
+    other: 'Zeitfilter: Letzte {count} Wochen',
+  },
+  'tbs.qdr.m': {
+    one: 'Zeitfilter: Letzter Monat',
+    other: 'Zeitfilter: Letzte {count} Monate',
+  },
+  'tbs.qdr.y': {
+    one: 'Zeitfilter: Letztes Jahr',
+    other: 'Zeitfilter: Letzte {count} Jahre',
+  },
+  'tbs.cdr': 'Benutzerdefinierter Zeitraum: {range}',
+  'tbs.li': 'Wortwörtlich',
+  'tbs.sbd': 'Nach Datum sortiert',
+  'tbs.other': 'Suchtool: {value}',
+
+  // Image search tools
+  'tbs.isz': 'Bildgröße: {value}',
+  'tbs.ic': 'Farbe: {value}',
+  'tbs.itp': 'Bildtyp: {value}',
+  'tbs.il': 'Nutzungsrechte: {value}',
+
+  'imageSize.l': 'Groß',
+  'imageSize.m': 'Mittel',
+  'imageSize.i': 'Symbol',
+
+  'imageColor.color': 'Vollfarbe',
+  'imageColor.gray': 'Schwarz-Weiß',
+  'imageColor.trans': 'Transparent',
+
+  'color.red': 'Rot',
+  'color.orange': 'Orange',
+  'color.yellow': 'Gelb',
+  'color.green': 'Grün',
+  'color.teal': 'Türkis',
+  'color.blue': 'Blau',
+  'color.purple': 'Lila',
+  'color.pink': 'Rosa',
+  'color.white': 'Weiß',
+  'color.gray': 'Grau',
+  'color.black': 'Schwarz',
+  'color.brown': 'Braun',
+
+  'imageType.photo': 'Foto',
+  'imageType.clipart': 'Clipart',
+  'imageType.lineart': 'Strichzeichnung',
+  'imageType.face': 'Gesicht',
+  'imageType.animated': 'Animiert',
+
+  'usageRights.cl': 'Creative-Commons-Lizenzen',
+  'usageRights.ol': 'Kommerzielle und andere Lizenzen',
+
+  'list.separator': ', ',
+
+  'range.from': 'ab {date}',
+  'range.until': 'bis {date}',
+  'range.anyTime': 'beliebige Zeit',
+};
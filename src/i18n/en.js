@@ -0,0 +1,201 @@
+/**
+ * English messages, also the fallback for messages other catalogs lack
+ */
+
+export default {
+  // Redirect dialog
+  'dialog.title': 'Redirect Search to Alternative Engine',
+  'dialog.query': 'Search Query:',
+  'dialog.correction': "Google's autocorrection",
+  'dialog.correctedQuery': 'Corrected: {query}',
+  'dialog.originalQuery': 'As typed, without autocorrect: {query}',
+  'dialog.params': 'Select Parameters to Preserve:',
+  'dialog.queryOnly': 'Search query only (no parameters)',
+  'dialog.noParams': 'No additional parameters found.',
+  'dialog.selectAll': 'Select all supported',
+  'dialog.showAll': 'Show all parameters ({count} more)',
+  'dialog.pageState': 'Page state',
+  'dialog.tracking': 'Tracking (never forwarded)',
+  'dialog.openIn': 'Open In:',
+  'dialog.unsupportedOperators':
+    'Not supported by {engine} and left out: {operators}',
+  'dialog.unsupportedVertical':
+    'Not offered by {engine}, web results open instead: {vertical}',
+  'dialog.copyUrls': { one: 'Copy URL', other: 'Copy URLs' },
+  'dialog.copied': 'Copied!',
+  'dialog.copyFailed': 'Copy failed',
+  'dialog.cancel': 'Cancel',
+  'dialog.redirect': 'Redirect',
+  'dialog.openTabs': 'Open {count} Tabs',
+
+  // Bang picker
+  'bang.label': 'Bang:',
+  'bang.search': 'Search bangs, e.g. !w or Wikipedia',
+  'bang.none': 'No bang',
+  'bang.option': '!{bang} – {name}',
+  'bang.add': 'Add Bang',
+  'bang.delete': 'Delete',
+  'bang.prompt': 'Bang to add (e.g., !mdn):',
+  'bang.namePrompt': 'Site that !{bang} searches:',
+  'bang.invalid': 'Not a valid bang: {bang}',
+  'bang.saveFailed': 'Could not save the bang !{bang}.',
+  'bang.hint': 'Bangs work on {engines}; other engines leave them out.',
+
+  // Parameter support on the target engines
+  'support.full': 'Supported',
+  'support.approximate': 'Approximate',
+  'support.none': 'Not supported',
+  'support.engine': '{engine}: {level}',
+
+  // Presets
+  'preset.label': 'Preset',
+  'preset.custom': 'Custom selection',
+  'preset.queryOnly': 'Query only',
+  'preset.timeRegion': 'Keep time filter + region',
+  'preset.configured': 'Bookmarklet settings',
+  'preset.save': 'Save as Preset',
+  'preset.delete': 'Delete',
+  'preset.namePrompt': 'Preset name:',
+  'preset.saveFailed': 'Could not save the preset "{name}".',
+  'preset.useDefault':
+    'Use this preset without asking (press Shift or click Options on the "Redirecting…" notice to see this dialog)',
+  'preset.rememberLast': 'Remember my last choice',
+  'preset.quickRedirect':
+    'Redirecting to {engine} with "{preset}"… Press Shift or click Options to choose.',
+  'preset.options': 'Options',
+  'preset.dropped': 'Not supported by {engine}, left out: {params}',
+
+  // Blocked tabs panel
+  'links.title': 'Some Tabs Were Blocked',
+  'links.message': {
+    one: "Your browser's popup blocker stopped {count} tab. Open it from here:",
+    other:
+      "Your browser's popup blocker stopped {count} tabs. Open them from here:",
+  },
+  'links.close': 'Close',
+
+  // Engine bar of the userscript and extension
+  'bar.label': 'Open this search in another engine',
+  'bar.openIn': 'Open in:',
+  'bar.hide': 'Hide',
+
+  // Export dialog
+  'export.title': 'Export Search Results',
+  'export.summary': {
+    one: '{count} result for "{query}"',
+    other: '{count} results for "{query}"',
+  },
+  'export.download': 'Download',
+  'export.copy': 'Copy',
+  'export.close': 'Close',
+
+  // Errors
+  'error.unknownEngine': 'Unknown search engine: {engine}',
+  'error.notSearchPage':
+    'This bookmarklet only works on search results pages of: {engines}.\n\nPlease navigate to a search results page and try again.',
+  'error.notGooglePage':
+    'This bookmarklet only works on Google search results pages.\n\nPlease navigate to a Google search results page and try again.',
+  'error.noQuery': 'No search query found in the current page.',
+  'error.noResults': 'No search results found on the current page.',
+
+  // Parameter descriptions
+  'param.q': 'Search Query',
+  'param.lr': { one: 'Language: {value}', other: 'Languages: {value}' },
+  'param.cr': { one: 'Country: {value}', other: 'Countries: {value}' },
+  'param.num': 'Number of Results: {value}',
+  'param.start': 'Page {page}',
+  'param.safe': 'Safe Search: {value}',
+  'param.tbm': 'Search Type: {value}',
+  'param.tbs_qdr': 'Time Range: {value}',
+  'param.source': 'Source',
+  'param.nfpr': 'Autocorrect: Off',
+  'param.nfprOn': 'Autocorrect: On',
+  'param.hl': 'Interface Language: {value}',
+  'param.gl': 'Region: {value}',
+  'param.other': '{name}: {value}',
+
+  'safe.active': 'Active',
+  'safe.off': 'Off',
+  'safe.images': 'Images',
+
+  'tbm.isch': 'Images',
+  'tbm.vid': 'Videos',
+  'tbm.nws': 'News',
+  'tbm.shop': 'Shopping',
+  'tbm.bks': 'Books',
+  'tbm.fin': 'Finance',
+
+  'timeRange.d': 'Past Day',
+  'timeRange.w': 'Past Week',
+  'timeRange.m': 'Past Month',
+  'timeRange.y': 'Past Year',
+
+  // Components of Google's tbs parameter
+  'tbs.any': 'Time Filter',
+  'tbs.qdr.h': {
+    one: 'Time Filter: Past Hour',
+    other: 'Time Filter: Past {count} hours',
+  },
+  'tbs.qdr.d': {
+    one: 'Time Filter: Past Day',
+    other: 'Time Filter: Past {count} days',
+  },
+  'tbs.qdr.w': {
+    one: 'Time Filter: Past Week',
+    other: 'Time Filter: Past {count} weeks',
+  },
+  'tbs.qdr.m': {
+    one: 'Time Filter: Past Month',
+    other: 'Time Filter: Past {count} months',
+  },
+  'tbs.qdr.y': {
+    one: 'Time Filter: Past Year',
+    other: 'Time Filter: Past {count} years',
+  },
+  'tbs.cdr': 'Custom range: {range}',
+  'tbs.li': 'Verbatim',
+  'tbs.sbd': 'Sorted by date',
+  'tbs.other': 'Search tool: {value}',
+
+  // Image search tools
+  'tbs.isz': 'Image size: {value}',
+  'tbs.ic': 'Colour: {value}',
+  'tbs.itp': 'Image type: {value}',
+  'tbs.il': 'Usage rights: {value}',
+
+  'imageSize.l': 'Large',
+  'imageSize.m': 'Medium',
+  'imageSize.i': 'Icon',
+
+  'imageColor.color': 'Full colour',
+  'imageColor.gray': 'Black and white',
+  'imageColor.trans': 'Transparent',
+
+  'color.red': 'Red',
+  'color.orange': 'Orange',
+  'color.yellow': 'Yellow',
+  'color.green': 'Green',
+  'color.teal': 'Teal',
+  'color.blue': 'Blue',
+  'color.purple': 'Purple',
+  'color.pink': 'Pink',
+  'color.white': 'White',
+  'color.gray': 'Grey',
+  'color.black': 'Black',
+  'color.brown': 'Brown',
+
+  'imageType.photo': 'Photo',
+  'imageType.clipart': 'Clip art',
+  'imageType.lineart': 'Line drawing',
+  'imageType.face': 'Face',
+  'imageType.animated': 'Animated',
+
+  'usageRights.cl': 'Creative Commons licences',
+  'usageRights.ol': 'Commercial and other licences',
+
+  'list.separator': ', ',
+
+  'range.from': 'from {date}',
+  'range.until': 'until {date}',
+  'range.anyTime': 'any time',
+};
@@ -0,0 +1,202 @@
+/**
+ * Spanish messages
+ */
+
+export default {
+  // Redirect dialog
+  'dialog.title': 'Redirigir la búsqueda a otro buscador',
+  'dialog.query': 'Consulta de búsqueda:',
+  'dialog.correction': 'Autocorrección de Google',
+  'dialog.correctedQuery': 'Corregida: {query}',
+  'dialog.originalQuery': 'Tal como se escribió, sin autocorrección: {query}',
+  'dialog.params': 'Selecciona los parámetros que quieres conservar:',
+  'dialog.queryOnly': 'Solo la consulta (sin parámetros)',
+  'dialog.noParams': 'No se encontraron más parámetros.',
+  'dialog.selectAll': 'Seleccionar todos los compatibles',
+  'dialog.showAll': 'Mostrar todos los parámetros ({count} más)',
+  'dialog.pageState': 'Estado de la página',
+  'dialog.tracking': 'Seguimiento (nunca se reenvía)',
+  'dialog.openIn': 'Abrir en:',
+  'dialog.unsupportedOperators':
+    '{engine} no lo admite y se ha omitido: {operators}',
+  'dialog.unsupportedVertical':
+    '{engine} no lo ofrece, se abren los resultados web: {vertical}',
+  'dialog.copyUrls': { one: 'Copiar URL', other: 'Copiar las URL' },
+  'dialog.copied': '¡Copiado!',
+  'dialog.copyFailed': 'No se pudo copiar',
+  'dialog.cancel': 'Cancelar',
+  'dialog.redirect': 'Redirigir',
+  'dialog.openTabs': 'Abrir {count} pestañas',
+
+  // Bang picker
+  'bang.label': 'Bang:',
+  'bang.search': 'Buscar bangs, p. ej. !w o Wikipedia',
+  'bang.none': 'Sin bang',
+  'bang.option': '!{bang} – {name}',
+  'bang.add': 'Añadir bang',
+  'bang.delete': 'Eliminar',
+  'bang.prompt': 'Bang que añadir (p. ej. !mdn):',
+  'bang.namePrompt': 'Sitio en el que busca !{bang}:',
+  'bang.invalid': 'No es un bang válido: {bang}',
+  'bang.saveFailed': 'No se pudo guardar el bang !{bang}.',
+  'bang.hint':
+    'Los bangs funcionan en {engines}; los demás buscadores los omiten.',
+
+  // Parameter support on the target engines
+  'support.full': 'Compatible',
+  'support.approximate': 'Aproximado',
+  'support.none': 'No compatible',
+  'support.engine': '{engine}: {level}',
+
+  // Presets
+  'preset.label': 'Ajuste predefinido',
+  'preset.custom': 'Selección personalizada',
+  'preset.queryOnly': 'Solo la consulta',
+  'preset.timeRegion': 'Mantener filtro de tiempo + región',
+  'preset.configured': 'Ajustes del marcador',
+  'preset.save': 'Guardar como predefinido',
+  'preset.delete': 'Eliminar',
+  'preset.namePrompt': 'Nombre del ajuste predefinido:',
+  'preset.saveFailed': 'No se pudo guardar el ajuste predefinido «{name}».',
+  'preset.useDefault':
+    'Usar este ajuste sin preguntar (pulsa Mayús o haz clic en Opciones en el aviso «Redirigiendo…» para ver este cuadro)',
+  'preset.rememberLast': 'Recordar mi última elección',
+  'preset.quickRedirect':
+    'Redirigiendo a {engine} con «{preset}»… Pulsa Mayús o haz clic en Opciones para elegir.',
+  'preset.options': 'Opciones',
+  'preset.dropped': '{engine} no lo admite, se ha omitido: {params}',
+
+  // Blocked tabs panel
+  'links.title': 'Se bloquearon algunas pestañas',
+  'links.message': {
+    one: 'El bloqueador de ventanas emergentes de tu navegador bloqueó {count} pestaña. Ábrela desde aquí:',
+    other:
+      'El bloqueador de ventanas emergentes de tu navegador bloqueó {count} pestañas. Ábrelas desde aquí:',
+  },
+  'links.close': 'Cerrar',
+
+  // Engine bar of the userscript and extension
+  'bar.label': 'Abrir esta búsqueda en otro buscador',
+  'bar.openIn': 'Abrir en:',
+  'bar.hide': 'Ocultar',
+
+  // Export dialog
+  'export.title': 'Exportar resultados de búsqueda',
+  'export.summary': {
+    one: '{count} resultado para «{query}»',
+    other: '{count} resultados para «{query}»',
+  },
+  'export.download': 'Descargar',
+  'export.copy': 'Copiar',
+  'export.close': 'Cerrar',
+
+  // Errors
+  'error.unknownEngine': 'Buscador desconocido: {engine}',
+  'error.notSearchPage':
+    'Este marcador solo funciona en páginas de resultados de: {engines}.\n\nAbre una página de resultados de búsqueda y vuelve a intentarlo.',
+  'error.notGooglePage':
+    'Este marcador solo funciona en páginas de resultados de Google.\n\nAbre una página de resultados de Google y vuelve a intentarlo.',
+  'error.noQuery': 'No se encontró ninguna consulta en esta página.',
+  'error.noResults': 'No se encontraron resultados de búsqueda en esta página.',
+
+  // Parameter descriptions
+  'param.q': 'Consulta de búsqueda',
+  'param.lr': { one: 'Idioma: {value}', other: 'Idiomas: {value}' },
+  'param.cr': { one: 'País: {value}', other: 'Países: {value}' },
+  'param.num': 'Número de resultados: {value}',
+  'param.start': 'Página {page}',
+  'param.safe': 'SafeSearch: {value}',
+  'param.tbm': 'Tipo de búsqueda: {value}',
+  'param.tbs_qdr': 'Intervalo de tiempo: {value}',
+  'param.source': 'Fuente',
+  'param.nfpr': 'Autocorrección: desactivada',
+  'param.nfprOn': 'Autocorrección: activada',
+  'param.hl': 'Idioma de la interfaz: {value}',
+  'param.gl': 'Región: {value}',
+  'param.other': '{name}: {value}',
+
+  'safe.active': 'Activado',
+  'safe.off': 'Desactivado',
+  'safe.images': 'Imágenes',
+
+  'tbm.isch': 'Imágenes',
+  'tbm.vid': 'Vídeos',
+  'tbm.nws': 'Noticias',
+  'tbm.shop': 'Shopping',
+  'tbm.bks': 'Libros',
+  'tbm.fin': 'Finanzas',
+
+  'timeRange.d': 'Último día',
+  'timeRange.w': 'Última semana',
+  'timeRange.m': 'Último mes',
+  'timeRange.y': 'Último año',
+
+  // Components of Google's tbs parameter
+  'tbs.any': 'Filtro de tiempo',
+  'tbs.qdr.h': {
+    one: 'Filtro de tiempo: Última hora',
+    other: 'Filtro de tiempo: Últimas {count} horas',
+  },
+  'tbs.qdr.d': {
+    one: 'Filtro de tiempo: Último día',
+    other: 'Filtro de tiempo: Últimos {count} días',
+  },
+  'tbs.qdr.w': {
+    one: 'Filtro de tiempo: Última semana',
+    other: 'Filtro de tiempo: Últimas {count} semanas',
+  },
+  'tbs.qdr.m': {
+    one: 'Filtro de tiempo: Último mes',
+    other: 'Filtro de tiempo: Últimos {count} meses',
+  },
+  'tbs.qdr.y': {
+    one: 'Filtro de tiempo: Último año',
+    other: 'Filtro de tiempo: Últimos {count} años',
+  },
+  'tbs.cdr': 'Intervalo personalizado: {range}',
+  'tbs.li': 'Literal',
+  'tbs.sbd': 'Ordenado por fecha',
+  'tbs.other': 'Herramienta de búsqueda: {value}',
+
+  // Image search tools
+  'tbs.isz': 'Tamaño de imagen: {value}',
+  'tbs.ic': 'Color: {value}',
+  'tbs.itp': 'Tipo de imagen: {value}',
+  'tbs.il': 'Derechos de uso: {value}',
+
+  'imageSize.l': 'Grande',
+  'imageSize.m': 'Mediano',
+  'imageSize.i': 'Icono',
+
+  'imageColor.color': 'A todo color',
+  'imageColor.gray': 'Blanco y negro',
+  'imageColor.trans': 'Transparente',
+
+  'color.red': 'Rojo',
+  'color.orange': 'Naranja',
+  'color.yellow': 'Amarillo',
+  'color.green': 'Verde',
+  'color.teal': 'Verde azulado',
+  'color.blue': 'Azul',
+  'color.purple': 'Morado',
+  'color.pink': 'Rosa',
+  'color.white': 'Blanco',
+  'color.gray': 'Gris',
+  'color.black': 'Negro',
+  'color.brown': 'Marrón',
+
+  'imageType.photo': 'Foto',
+  'imageType.clipart': 'Imágenes prediseñadas',
+  'imageType.lineart': 'Dibujo lineal',
+  'imageType.face': 'Cara',
+  'imageType.animated': 'Animada',
+
+  'usageRights.cl': 'Licencias Creative Commons',
+  'usageRights.ol': 'Licencias comerciales y de otro tipo',
+
+  'list.separator': ', ',
+
+  'range.from': 'desde el {date}',
+  'range.until': 'hasta el {date}',
+  'range.anyTime': 'cualquier fecha',
+};
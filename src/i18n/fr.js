@@ -0,0 +1,202 @@
+/**
+ * French messages
+ */
+
+export default {
+  // Redirect dialog
+  'dialog.title': 'Rediriger la recherche vers un autre moteur',
+  'dialog.query': 'Requête :',
+  'dialog.correction': 'Correction automatique de Google',
+  'dialog.correctedQuery': 'Corrigée : {query}',
+  'dialog.originalQuery': 'Telle que saisie, sans correction : {query}',
+  'dialog.params': 'Paramètres à conserver :',
+  'dialog.queryOnly': 'Requête seule (sans paramètres)',
+  'dialog.noParams': 'Aucun autre paramètre trouvé.',
+  'dialog.selectAll': 'Tout sélectionner (pris en charge)',
+  'dialog.showAll': 'Afficher tous les paramètres ({count} de plus)',
+  'dialog.pageState': 'État de la page',
+  'dialog.tracking': 'Suivi (jamais transmis)',
+  'dialog.openIn': 'Ouvrir dans :',
+  'dialog.unsupportedOperators':
+    'Non pris en charge par {engine} et ignoré : {operators}',
+  'dialog.unsupportedVertical':
+    "Non proposé par {engine}, les résultats web s'ouvrent à la place : {vertical}",
+  'dialog.copyUrls': { one: "Copier l'URL", other: 'Copier les URL' },
+  'dialog.copied': 'Copié !',
+  'dialog.copyFailed': 'Échec de la copie',
+  'dialog.cancel': 'Annuler',
+  'dialog.redirect': 'Rediriger',
+  'dialog.openTabs': 'Ouvrir {count} onglets',
+
+  // Bang picker
+  'bang.label': 'Bang :',
+  'bang.search': 'Rechercher un bang, par ex. !w ou Wikipédia',
+  'bang.none': 'Aucun bang',
+  'bang.option': '!{bang} – {name}',
+  'bang.add': 'Ajouter un bang',
+  'bang.delete': 'Supprimer',
+  'bang.prompt': 'Bang à ajouter (par ex. !mdn) :',
+  'bang.namePrompt': 'Site recherché par !{bang} :',
+  'bang.invalid': "Ce n'est pas un bang valide : {bang}",
+  'bang.saveFailed': "Impossible d'enregistrer le bang !{bang}.",
+  'bang.hint':
+    'Les bangs fonctionnent sur {engines} ; les autres moteurs les ignorent.',
+
+  // Parameter support on the target engines
+  'support.full': 'Pris en charge',
+  'support.approximate': 'Approximatif',
+  'support.none': 'Non pris en charge',
+  'support.engine': '{engine} : {level}',
+
+  // Presets
+  'preset.label': 'Préréglage',
+  'preset.custom': 'Sélection personnalisée',
+  'preset.queryOnly': 'Requête seule',
+  'preset.timeRegion': 'Garder filtre de date + région',
+  'preset.configured': 'Réglages du favori',
+  'preset.save': 'Enregistrer comme préréglage',
+  'preset.delete': 'Supprimer',
+  'preset.namePrompt': 'Nom du préréglage :',
+  'preset.saveFailed': "Impossible d'enregistrer le préréglage « {name} ».",
+  'preset.useDefault':
+    'Utiliser ce préréglage sans demander (appuyez sur Maj ou cliquez sur Options dans l’avis « Redirection… » pour afficher cette fenêtre)',
+  'preset.rememberLast': 'Mémoriser mon dernier choix',
+  'preset.quickRedirect':
+    'Redirection vers {engine} avec « {preset} »… Appuyez sur Maj ou cliquez sur Options pour choisir.',
+  'preset.options': 'Options',
+  'preset.dropped': 'Non pris en charge par {engine}, ignoré : {params}',
+
+  // Blocked tabs panel
+  'links.title': 'Certains onglets ont été bloqués',
+  'links.message': {
+    one: 'Le bloqueur de fenêtres de votre navigateur a bloqué {count} onglet. Ouvrez-le ici :',
+    other:
+      'Le bloqueur de fenêtres de votre navigateur a bloqué {count} onglets. Ouvrez-les ici :',
+  },
+  'links.close': 'Fermer',
+
+  // Engine bar of the userscript and extension
+  'bar.label': 'Ouvrir cette recherche dans un autre moteur',
+  'bar.openIn': 'Ouvrir dans :',
+  'bar.hide': 'Masquer',
+
+  // Export dialog
+  'export.title': 'Exporter les résultats de recherche',
+  'export.summary': {
+    one: '{count} résultat pour « {query} »',
+    other: '{count} résultats pour « {query} »',
+  },
+  'export.download': 'Télécharger',
+  'export.copy': 'Copier',
+  'export.close': 'Fermer',
+
+  // Errors
+  'error.unknownEngine': 'Moteur de recherche inconnu : {engine}',
+  'error.notSearchPage':
+    'Ce favori ne fonctionne que sur les pages de résultats de : {engines}.\n\nOuvrez une page de résultats de recherche et réessayez.',
+  'error.notGooglePage':
+    'Ce favori ne fonctionne que sur les pages de résultats de Google.\n\nOuvrez une page de résultats Google et réessayez.',
+  'error.noQuery': 'Aucune requête trouvée sur cette page.',
+  'error.noResults': 'Aucun résultat de recherche trouvé sur cette page.',
+
+  // Parameter descriptions
+  'param.q': 'Requête',
+  'param.lr': { one: 'Langue : {value}', other: 'Langues : {value}' },
+  'param.cr': { one: 'Pays : {value}', other: 'Pays : {value}' },
+  'param.num': 'Nombre de résultats : {value}',
+  'param.start': 'Page {page}',
+  'param.safe': 'SafeSearch : {value}',
+  'param.tbm': 'Type de recherche : {value}',
+  'param.tbs_qdr': 'Période : {value}',
+  'param.source': 'Source',
+  'param.nfpr': 'Correction automatique : désactivée',
+  'param.nfprOn': 'Correction automatique : activée',
+  'param.hl': "Langue de l'interface : {value}",
+  'param.gl': 'Région : {value}',
+  'param.other': '{name} : {value}',
+
+  'safe.active': 'Activé',
+  'safe.off': 'Désactivé',
+  'safe.images': 'Images',
+
+  'tbm.isch': 'Images',
+  'tbm.vid': 'Vidéos',
+  'tbm.nws': 'Actualités',
+  'tbm.shop': 'Shopping',
+  'tbm.bks': 'Livres',
+  'tbm.fin': 'Finance',
+
+  'timeRange.d': 'Dernières 24 heures',
+  'timeRange.w': 'Semaine dernière',
+  'timeRange.m': 'Mois dernier',
+  'timeRange.y': 'Année dernière',
+
+  // Components of Google's tbs parameter
+  'tbs.any': 'Filtre de date',
+  'tbs.qdr.h': {
+    one: 'Filtre de date : Dernière heure',
+    other: 'Filtre de date : {count} dernières heures',
+  },
+  'tbs.qdr.d': {
+    one: 'Filtre de date : Dernières 24 heures',
+    other: 'Filtre de date : {count} derniers jours',
+  },
+  'tbs.qdr.w': {
+    one: 'Filtre de date : Semaine dernière',
+    other: 'Filtre de date : {count} dernières semaines',
+  },
+  'tbs.qdr.m': {
+    one: 'Filtre de date : Mois dernier',
+    other: 'Filtre de date : {count} derniers mois',
+  },
+  'tbs.qdr.y': {
+    one: 'Filtre de date : Année dernière',
+    other: 'Filtre de date : {count} dernières années',
+  },
+  'tbs.cdr': 'Période personnalisée : {range}',
+  'tbs.li': 'Mot à mot',
+  'tbs.sbd': 'Trié par date',
+  'tbs.other': 'Outil de recherche : {value}',
+
+  // Image search tools
+  'tbs.isz': "Taille de l'image : {value}",
+  'tbs.ic': 'Couleur : {value}',
+  'tbs.itp': "Type d'image : {value}",
+  'tbs.il': "Droits d'usage : {value}",
+
+  'imageSize.l': 'Grande',
+  'imageSize.m': 'Moyenne',
+  'imageSize.i': 'Icône',
+
+  'imageColor.color': 'Toutes les couleurs',
+  'imageColor.gray': 'Noir et blanc',
+  'imageColor.trans': 'Transparent',
+
+  'color.red': 'Rouge',
+  'color.orange': 'Orange',
+  'color.yellow': 'Jaune',
+  'color.green': 'Vert',
+  'color.teal': 'Bleu canard',
+  'color.blue': 'Bleu',
+  'color.purple': 'Violet',
+  'color.pink': 'Rose',
+  'color.white': 'Blanc',
+  'color.gray': 'Gris',
+  'color.black': 'Noir',
+  'color.brown': 'Marron',
+
+  'imageType.photo': 'Photo',
+  'imageType.clipart': 'Image clipart',
+  'imageType.lineart': 'Dessin au trait',
+  'imageType.face': 'Visage',
+  'imageType.animated': 'Animation',
+
+  'usageRights.cl': 'Licences Creative Commons',
+  'usageRights.ol': 'Licences commerciales et autres',
+
+  'list.separator': ', ',
+
+  'range.from': 'depuis le {date}',
+  'range.until': "jusqu'au {date}",
+  'range.anyTime': 'toutes les dates',
+};
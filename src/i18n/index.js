@@ -0,0 +1,192 @@
+/**
+ * Message catalogs and locale selection for the dialogs
+ *
+ * A catalog maps message ids to strings with {placeholders}. A message can
+ * also be an object keyed by Intl.PluralRules category ('zero', 'one',
+ * 'two', 'few', 'many', 'other') to vary with its {count}. Messages missing
+ * from a catalog fall back to English.
+ *
+ * Bookmarklets carry a single catalog, already merged with English, so
+ * their dialogs are always in the language they were built for.
+ */
+
+import catalogs from './catalogs.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Language tags that share a catalog under another name
+const LOCALE_ALIASES = {
+  zh: 'zh-CN',
+  'zh-hans': 'zh-CN',
+  'zh-hans-cn': 'zh-CN',
+  'zh-sg': 'zh-CN',
+};
+
+let currentLocale = null;
+
+/**
+ * Lists the locales that have a catalog
+ * @returns {string[]} Locale ids (e.g., 'en', 'zh-CN')
+ */
+export function getLocales() {
+  return Object.keys(catalogs);
+}
+
+/**
+ * Finds the catalog locale for a language tag
+ *
+ * Matches the tag exactly, through an alias, or by its language alone, so
+ * 'de-AT' uses the German catalog. Chinese only matches Simplified Chinese
+ * tags, so 'zh-TW' is not shown Simplified characters.
+ * @param {string} tag - A language tag, e.g. Google's hl value or one of
+ *   navigator.languages
+ * @returns {string|null} The locale id, or null if there is no catalog
+ */
+export function resolveLocale(tag) {
+  if (!tag) return null;
+  const normalized = String(tag).trim().replace(/_/g, '-').toLowerCase();
+  if (!normalized) return null;
+
+  const exact = getLocales().find(
+    locale => locale.toLowerCase() === normalized
+  );
+  if (exact) return exact;
+  // Bookmarklets carry a single catalog
+  const alias = LOCALE_ALIASES[normalized];
+  if (alias) return getLocales().includes(alias) ? alias : null;
+
+  const language = normalized.split('-')[0];
+  if (language === 'zh') return null;
+  return getLocales().includes(language) ? language : null;
+}
+
+/**
+ * Chooses the display language: the page's own language if there is a
+ * catalog for it, otherwise the first browser language that has one, then
+ * English or the only catalog there is
+ * @param {string} [pageLanguage] - The page's language, e.g. Google's hl
+ * @returns {string} The chosen locale id
+ */
+export function selectLocale(pageLanguage) {
+  const browserLanguages =
+    typeof navigator !== 'undefined'
+      ? navigator.languages || [navigator.language]
+      : [];
+  currentLocale =
+    [pageLanguage, ...browserLanguages].map(resolveLocale).find(Boolean) ||
+    (DEFAULT_LOCALE in catalogs ? DEFAULT_LOCALE : getLocales()[0]);
+  return currentLocale;
+}
+
+/**
+ * Gets the display language, choosing it from the browser languages if
+ * selectLocale() has not been called
+ * @returns {string} The locale id
+ */
+export function getLocale() {
+  return currentLocale || selectLocale();
+}
+
+/**
+ * Looks up a message in the current locale and fills in its placeholders
+ * @param {string} id - Message id (e.g., 'dialog.title')
+ * @param {Object} [values] - Placeholder values; numbers are formatted for
+ *   the locale, and {count} picks the plural form
+ * @returns {string} The message, or the id itself if no catalog has it
+ */
+export function t(id, values = {}) {
+  const locale = getLocale();
+  const catalog = catalogs[locale];
+  let message =
+    id in catalog ? catalog[id] : (catalogs[DEFAULT_LOCALE] || {})[id];
+  if (message === undefined) return id;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(values.count);
+    message = message[category] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === 'number'
+      ? new Intl.NumberFormat(locale).format(value)
+      : String(value);
+  });
+}
+
+/**
+ * Joins a list the way the current locale writes one (e.g., 'a, b and c')
+ * @param {string[]} items - Items to join
+ * @returns {string} The joined list
+ */
+export function formatList(items) {
+  if (typeof Intl.ListFormat === 'function') {
+    return new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(
+      items
+    );
+  }
+  return items.join(', ');
+}
+
+/**
+ * Formats a date range in the current locale, either bound may be open
+ * @param {Date|null} min - First day of the range
+ * @param {Date|null} max - Last day of the range
+ * @returns {string} The range (e.g., 'Jan 1 – Jun 30, 2024')
+ */
+export function formatDateRange(min, max) {
+  const formatter = new Intl.DateTimeFormat(getLocale(), {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+  if (min && max) {
+    return formatter.formatRange
+      ? formatter.formatRange(min, max)
+      : `${formatter.format(min)} – ${formatter.format(max)}`;
+  }
+  if (min) return t('range.from', { date: formatter.format(min) });
+  if (max) return t('range.until', { date: formatter.format(max) });
+  return t('range.anyTime');
+}
+
+// Google's Chinese codes name the country, readers expect the script
+const LANGUAGE_DISPLAY_TAGS = { 'zh-CN': 'zh-Hans', 'zh-TW': 'zh-Hant' };
+
+/**
+ * Gets the name of a language in the current locale (e.g., 'de' → 'German')
+ * @param {string} tag - A BCP 47 language tag
+ * @returns {string} The language name, or the tag if it has none
+ */
+export function getLanguageName(tag) {
+  return getDisplayName('language', LANGUAGE_DISPLAY_TAGS[tag] || tag);
+}
+
+/**
+ * Gets the name of a country in the current locale (e.g., 'JP' → 'Japan')
+ * @param {string} code - An ISO 3166 country code
+ * @returns {string} The country name, or the code if it has none
+ */
+export function getCountryName(code) {
+  return getDisplayName('region', code);
+}
+
+/**
+ * Looks up a display name with Intl.DisplayNames, where available
+ * @param {string} type - 'language' or 'region'
+ * @param {string} code - The code to name
+ * @returns {string} The name, or the code itself
+ */
+function getDisplayName(type, code) {
+  if (typeof Intl.DisplayNames !== 'function') return code;
+  try {
+    return (
+      new Intl.DisplayNames(getLocale(), { type, fallback: 'code' }).of(code) ||
+      code
+    );
+  } catch {
+    // Not a well-formed code, show it as it is
+    return code;
+  }
+}
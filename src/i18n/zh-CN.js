@@ -0,0 +1,180 @@
+/**
+ * Simplified Chinese messages
+ */
+
+export default {
+  // Redirect dialog
+  'dialog.title': '将搜索转到其他搜索引擎',
+  'dialog.query': '搜索查询：',
+  'dialog.correction': 'Google 的自动更正',
+  'dialog.correctedQuery': '更正后：{query}',
+  'dialog.originalQuery': '按输入内容，不自动更正：{query}',
+  'dialog.params': '选择要保留的参数：',
+  'dialog.queryOnly': '仅搜索查询（不带参数）',
+  'dialog.noParams': '没有其他参数。',
+  'dialog.selectAll': '全选支持的参数',
+  'dialog.showAll': { other: '显示所有参数（另有 {count} 个）' },
+  'dialog.pageState': '页面状态',
+  'dialog.tracking': '跟踪参数（不会转发）',
+  'dialog.openIn': '打开方式：',
+  'dialog.unsupportedOperators': '{engine} 不支持以下内容，已略去：{operators}',
+  'dialog.unsupportedVertical':
+    '{engine} 不提供以下搜索，将改为打开网页结果：{vertical}',
+  'dialog.copyUrls': { other: '复制网址' },
+  'dialog.copied': '已复制！',
+  'dialog.copyFailed': '复制失败',
+  'dialog.cancel': '取消',
+  'dialog.redirect': '转到',
+  'dialog.openTabs': '打开 {count} 个标签页',
+
+  // Bang picker
+  'bang.label': 'Bang 快捷搜索：',
+  'bang.search': '搜索 bang，例如 !w 或 Wikipedia',
+  'bang.none': '不使用 bang',
+  'bang.option': '!{bang} – {name}',
+  'bang.add': '添加 bang',
+  'bang.delete': '删除',
+  'bang.prompt': '要添加的 bang（例如 !mdn）：',
+  'bang.namePrompt': '!{bang} 搜索的网站：',
+  'bang.invalid': '不是有效的 bang：{bang}',
+  'bang.saveFailed': '无法保存 bang !{bang}。',
+  'bang.hint': '{engines} 支持 bang；其他搜索引擎会将其略去。',
+
+  // Parameter support on the target engines
+  'support.full': '支持',
+  'support.approximate': '近似',
+  'support.none': '不支持',
+  'support.engine': '{engine}：{level}',
+
+  // Presets
+  'preset.label': '预设',
+  'preset.custom': '自定义选择',
+  'preset.queryOnly': '仅查询词',
+  'preset.timeRegion': '保留时间筛选和地区',
+  'preset.configured': '书签设置',
+  'preset.save': '另存为预设',
+  'preset.delete': '删除',
+  'preset.namePrompt': '预设名称：',
+  'preset.saveFailed': '无法保存预设“{name}”。',
+  'preset.useDefault':
+    '直接使用此预设，不再询问（在转到提示出现时按 Shift 键或点击“选项”可显示此对话框）',
+  'preset.rememberLast': '记住我上次的选择',
+  'preset.quickRedirect':
+    '正在使用“{preset}”转到 {engine}… 按 Shift 键或点击“选项”进行选择。',
+  'preset.options': '选项',
+  'preset.dropped': '{engine} 不支持，已略去：{params}',
+
+  // Blocked tabs panel
+  'links.title': '部分标签页被拦截',
+  'links.message': {
+    other: '浏览器的弹出窗口拦截程序拦截了 {count} 个标签页。请从这里打开：',
+  },
+  'links.close': '关闭',
+
+  // Engine bar of the userscript and extension
+  'bar.label': '在其他搜索引擎中打开此搜索',
+  'bar.openIn': '打开方式：',
+  'bar.hide': '隐藏',
+
+  // Export dialog
+  'export.title': '导出搜索结果',
+  'export.summary': { other: '“{query}”的 {count} 条结果' },
+  'export.download': '下载',
+  'export.copy': '复制',
+  'export.close': '关闭',
+
+  // Errors
+  'error.unknownEngine': '未知的搜索引擎：{engine}',
+  'error.notSearchPage':
+    '此书签只能在以下搜索引擎的结果页上使用：{engines}。\n\n请打开搜索结果页后重试。',
+  'error.notGooglePage':
+    '此书签只能在 Google 搜索结果页上使用。\n\n请打开 Google 搜索结果页后重试。',
+  'error.noQuery': '当前页面中没有找到搜索查询。',
+  'error.noResults': '当前页面中没有找到搜索结果。',
+
+  // Parameter descriptions
+  'param.q': '搜索查询',
+  'param.lr': { other: '语言：{value}' },
+  'param.cr': { other: '国家/地区：{value}' },
+  'param.num': '结果数量：{value}',
+  'param.start': '第 {page} 页',
+  'param.safe': '安全搜索：{value}',
+  'param.tbm': '搜索类型：{value}',
+  'param.tbs_qdr': '时间范围：{value}',
+  'param.source': '来源',
+  'param.nfpr': '自动更正：关闭',
+  'param.nfprOn': '自动更正：开启',
+  'param.hl': '界面语言：{value}',
+  'param.gl': '区域：{value}',
+  'param.other': '{name}：{value}',
+
+  'safe.active': '开启',
+  'safe.off': '关闭',
+  'safe.images': '图片',
+
+  'tbm.isch': '图片',
+  'tbm.vid': '视频',
+  'tbm.nws': '新闻',
+  'tbm.shop': '购物',
+  'tbm.bks': '图书',
+  'tbm.fin': '财经',
+
+  'timeRange.d': '过去一天',
+  'timeRange.w': '过去一周',
+  'timeRange.m': '过去一个月',
+  'timeRange.y': '过去一年',
+
+  // Components of Google's tbs parameter
+  'tbs.any': '时间筛选',
+  'tbs.qdr.h': { other: '时间筛选：过去 {count} 小时' },
+  'tbs.qdr.d': { other: '时间筛选：过去 {count} 天' },
+  'tbs.qdr.w': { other: '时间筛选：过去 {count} 周' },
+  'tbs.qdr.m': { other: '时间筛选：过去 {count} 个月' },
+  'tbs.qdr.y': { other: '时间筛选：过去 {count} 年' },
+  'tbs.cdr': '自定义范围：{range}',
+  'tbs.li': '精确匹配',
+  'tbs.sbd': '按日期排序',
+  'tbs.other': '搜索工具：{value}',
+
+  // Image search tools
+  'tbs.isz': '图片尺寸：{value}',
+  'tbs.ic': '颜色：{value}',
+  'tbs.itp': '图片类型：{value}',
+  'tbs.il': '使用权：{value}',
+
+  'imageSize.l': '大',
+  'imageSize.m': '中',
+  'imageSize.i': '图标',
+
+  'imageColor.color': '全彩',
+  'imageColor.gray': '黑白',
+  'imageColor.trans': '透明',
+
+  'color.red': '红色',
+  'color.orange': '橙色',
+  'color.yellow': '黄色',
+  'color.green': '绿色',
+  'color.teal': '青色',
+  'color.blue': '蓝色',
+  'color.purple': '紫色',
+  'color.pink': '粉色',
+  'color.white': '白色',
+  'color.gray': '灰色',
+  'color.black': '黑色',
+  'color.brown': '棕色',
+
+  'imageType.photo': '照片',
+  'imageType.clipart': '剪贴画',
+  'imageType.lineart': '素描',
+  'imageType.face': '人脸',
+  'imageType.animated': '动画',
+
+  'usageRights.cl': '知识共享许可',
+  'usageRights.ol': '商业许可和其他许可',
+
+  'list.separator': '、',
+
+  'range.from': '{date}起',
+  'range.until': '截至{date}',
+  'range.anyTime': '不限时间',
+};
@@ -0,0 +1,305 @@
+/**
+ * Google language and country codes
+ *
+ * Google names languages and countries in a few different ways: hl and gl
+ * hold one plain code ('de', 'zh-CN', 'jp'), while lr and cr hold lists of
+ * prefixed codes separated by '|' ('lang_de|lang_fr', 'countryJP'). These
+ * helpers turn all of them into standard BCP 47 language tags and ISO 3166
+ * country codes.
+ */
+
+import { approximately } from './engines/shared.js';
+
+// Codes Google still uses in place of the current standard ones
+const LANGUAGE_ALIASES = { iw: 'he', jw: 'jv', in: 'id', ji: 'yi' };
+const COUNTRY_ALIASES = { UK: 'GB' };
+
+// Countries with no region of their own on most engines, and where to look
+// instead
+const LATIN_AMERICA = 'BO CR CU DO EC GT HN NI PA PY SV UY'.split(' ');
+const NEAREST_REGIONS = {
+  AD: ['ES', 'FR'],
+  FO: ['DK'],
+  GG: ['GB'],
+  GI: ['GB', 'ES'],
+  GL: ['DK'],
+  IM: ['GB'],
+  JE: ['GB'],
+  LI: ['CH', 'AT', 'DE'],
+  LU: ['BE', 'FR', 'DE'],
+  MC: ['FR'],
+  MO: ['HK', 'TW'],
+  PR: ['US'],
+  SM: ['IT'],
+  VA: ['IT'],
+  ...Object.fromEntries(LATIN_AMERICA.map(code => [code, ['419', 'MX']])),
+};
+
+// Languages Google and the engines name differently
+const LANGUAGE_EQUIVALENTS = { no: 'nb' };
+
+/**
+ * Normalizes one Google language code (e.g., 'zh-cn', 'iw', 'lang_de')
+ * @param {string} code - The code, with or without the 'lang_' prefix
+ * @returns {string|null} A BCP 47 language tag (e.g., 'zh-CN', 'he'), or
+ *   null if it is not a language code
+ */
+export function normalizeLanguageCode(code) {
+  const match = /^(?:lang_)?([a-z]{2,3})(?:[-_]([a-z]{2}|[a-z]{4}))?$/i.exec(
+    String(code || '').trim()
+  );
+  if (!match) return null;
+
+  const language = match[1].toLowerCase();
+  const subtag = match[2];
+  const normalized = LANGUAGE_ALIASES[language] || language;
+  if (!subtag) return normalized;
+  // Regions are upper case, scripts title case ('zh-Hant')
+  return subtag.length === 2
+    ? `${normalized}-${subtag.toUpperCase()}`
+    : `${normalized}-${subtag[0].toUpperCase()}${subtag.slice(1).toLowerCase()}`;
+}
+
+/**
+ * Normalizes one Google country code (e.g., 'jp', 'uk', 'countryJP')
+ * @param {string} code - The code, with or without the 'country' prefix
+ * @returns {string|null} An ISO 3166 country code (e.g., 'JP', 'GB'), or
+ *   null if it is not a country code
+ */
+export function normalizeCountryCode(code) {
+  const match = /^(?:country)?([a-z]{2})$/i.exec(String(code || '').trim());
+  if (!match) return null;
+  const country = match[1].toUpperCase();
+  return COUNTRY_ALIASES[country] || country;
+}
+
+/**
+ * Parses Google's language restriction (lr), e.g. 'lang_de|lang_fr'
+ * @param {string} value - The lr value
+ * @returns {string[]} Language tags, or the raw item where an item is not
+ *   a language code
+ */
+export function parseLanguageList(value) {
+  return splitList(value).map(item => normalizeLanguageCode(item) || item);
+}
+
+/**
+ * Parses Google's country restriction (cr), e.g. 'countryJP|countryDE'
+ * @param {string} value - The cr value
+ * @returns {string[]} Country codes, or the raw item where an item is not
+ *   a country code
+ */
+export function parseCountryList(value) {
+  return splitList(value).map(item => normalizeCountryCode(item) || item);
+}
+
+/**
+ * Gets the language to search in from Google's parameters: the first
+ * language of the restriction (lr), otherwise the interface language (hl)
+ * @param {Object} params - Google parameters
+ * @returns {string|null} A language tag, or null if neither is set
+ */
+export function getSearchLanguage(params) {
+  const restricted = parseLanguageList(params.lr).map(normalizeLanguageCode);
+  return restricted.find(Boolean) || normalizeLanguageCode(params.hl);
+}
+
+/**
+ * Finds the closest of an engine's locales (e.g., Bing markets) to a
+ * country and language
+ *
+ * Prefers the country itself, in the requested language or else the one
+ * most spoken there. A country the engine does not cover falls back to a
+ * neighbour (Luxembourg to Belgium, Bolivia to Latin America), then to the
+ * main country of its language (Austria to Germany).
+ * @param {string[]} tags - The engine's locales as BCP 47 tags ('de-DE')
+ * @param {string|null} country - ISO 3166 country code
+ * @param {string|null} [language] - Preferred language tag
+ * @returns {string|null} The closest tag, or null if none is close
+ */
+export function findNearestLocale(tags, country, language) {
+  const locales = tags.map(tag => ({
+    tag,
+    region: getRegion(tag),
+    language: getLanguageKey(tag),
+  }));
+  const preferred = language ? getLanguageKey(language) : null;
+
+  // Most spoken language of the country (French in Luxembourg)
+  const spoken = country ? getLanguageKey(`und-${country}`) : null;
+
+  if (country) {
+    const regions = [country, ...(NEAREST_REGIONS[country] || [])];
+    for (const region of regions) {
+      const inRegion = locales.filter(locale => locale.region === region);
+      if (inRegion.length === 0) continue;
+      const languages = [preferred, spoken, getLanguageKey(`und-${region}`)];
+      return (
+        languages
+          .map(key => inRegion.find(locale => locale.language === key))
+          .find(Boolean) || inRegion[0]
+      ).tag;
+    }
+  }
+
+  // The main country of the country's own language, or of the preferred one
+  const fallbacks = [spoken, preferred];
+  for (const fallback of fallbacks.filter(Boolean)) {
+    const speaking = locales.filter(locale => locale.language === fallback);
+    if (speaking.length === 0) continue;
+    const home = getRegion(fallback, true);
+    return (speaking.find(locale => locale.region === home) || speaking[0]).tag;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the closest of an engine's countries to a country, as
+ * findNearestLocale() does
+ * @param {string[]} countries - The engine's ISO 3166 country codes
+ * @param {string|null} country - ISO 3166 country code
+ * @returns {string|null} The closest country, or null if none is close
+ */
+export function findNearestCountry(countries, country) {
+  const tag = findNearestLocale(
+    countries.map(code => `und-${code}`),
+    country
+  );
+  return tag ? getRegion(tag) : null;
+}
+
+/**
+ * Picks an engine's locale parameter for a country, in the search language
+ * where the country has several (Switzerland, Belgium, Canada, ...)
+ * @param {string} paramName - The engine's parameter (e.g., 'mkt')
+ * @param {Object} locales - The parameter's value for each of the engine's
+ *   locales, keyed by BCP 47 tag ('de-CH')
+ * @param {string|null} country - ISO 3166 country code, or null to go by
+ *   the language alone
+ * @param {Object} params - All Google parameters
+ * @returns {Object|null} The parameter, approximate when it is for another
+ *   country, or null if no locale is close
+ */
+export function toLocaleParam(paramName, locales, country, params) {
+  const locale = findNearestLocale(
+    Object.keys(locales),
+    country,
+    getSearchLanguage(params)
+  );
+  if (!locale) return null;
+  return approximately(
+    { [paramName]: locales[locale] },
+    getRegion(locale) !== country
+  );
+}
+
+/**
+ * Picks an engine's region parameter for a country
+ * @param {string} paramName - The engine's parameter (e.g., 'country')
+ * @param {string[]} countries - The engine's ISO 3166 country codes
+ * @param {string|null} country - ISO 3166 country code
+ * @returns {Object|null} The parameter, set to the lower-case code of the
+ *   closest country and approximate when that is another one, or null if
+ *   none is close
+ */
+export function toCountryParam(paramName, countries, country) {
+  const match = findNearestCountry(countries, country);
+  if (!match) return null;
+  return approximately({ [paramName]: match.toLowerCase() }, match !== country);
+}
+
+/**
+ * Finds the country a selection of Google parameters asks for: the first
+ * country of the cr restriction, or else the gl region
+ * @param {Object} [selected] - The selected Google parameters
+ * @returns {string|null} ISO 3166 country code, or null if neither is
+ *   selected
+ */
+export function getSelectedCountry(selected = {}) {
+  return (
+    parseCountryList(selected.cr).map(normalizeCountryCode).find(Boolean) ||
+    normalizeCountryCode(selected.gl)
+  );
+}
+
+/**
+ * Makes the gl and cr mappers of an engine that has one setting for both
+ *
+ * The setting is worked out once, for the selected country (see
+ * getSelectedCountry), so a gl region for another country than the cr
+ * restriction has no equivalent.
+ * @param {Function} toParams - Receives the country and all Google
+ *   parameters, and returns the engine parameters or null
+ * @returns {{gl: Function, cr: Function}} The mappers
+ */
+export function toCountryMappers(toParams) {
+  return {
+    gl: (glValue, params, selected) => {
+      const country = getSelectedCountry(selected);
+      return country === normalizeCountryCode(glValue)
+        ? toParams(country, params)
+        : null;
+    },
+    cr: (crValue, params) =>
+      toParams(getSelectedCountry({ cr: crValue }), params),
+  };
+}
+
+/**
+ * Finds the closest of an engine's languages to a language, matching the
+ * script where it matters ('zh-TW' is Traditional Chinese) and otherwise
+ * the language alone ('de-AT' is German)
+ * @param {string[]} tags - The engine's languages as BCP 47 tags
+ * @param {string|null} language - Language tag
+ * @returns {string|null} The closest tag, or null if none matches
+ */
+export function findNearestLanguage(tags, language) {
+  if (!language) return null;
+  const exact = tags.find(tag => tag.toLowerCase() === language.toLowerCase());
+  return exact || findNearestLocale(tags, getRegion(language), language);
+}
+
+/**
+ * Gets the country or area of a tag
+ * @param {string} tag - BCP 47 tag
+ * @param {boolean} [likely] - Fill in the most likely one if the tag has
+ *   none ('de' → 'DE')
+ * @returns {string|null} The region subtag
+ */
+function getRegion(tag, likely = false) {
+  try {
+    const locale = new Intl.Locale(tag);
+    return (likely ? locale.maximize() : locale).region || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets a comparable language and script for a tag ('zh-TW' → 'zh-Hant',
+ * 'de-AT' → 'de-Latn', 'und-JP' → 'ja-Jpan')
+ * @param {string} tag - BCP 47 tag
+ * @returns {string|null} Language and script, or null for an invalid tag
+ */
+function getLanguageKey(tag) {
+  try {
+    const locale = new Intl.Locale(tag).maximize();
+    const language = LANGUAGE_EQUIVALENTS[locale.language] || locale.language;
+    return `${language}-${locale.script}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits a '|'-separated list, dropping empty items
+ * @param {string} value - The list
+ * @returns {string[]} The trimmed items
+ */
+function splitList(value) {
+  return String(value || '')
+    .split('|')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,46 @@
+/**
+ * Redirect options placed on the results page itself, shared by the
+ * userscript and the browser extension
+ */
+
+import { getEngines } from './engines/index.js';
+import { selectLocale } from './i18n/index.js';
+import { runRedirect } from './redirect.js';
+import { createEngineBar } from './ui.js';
+import { extractUrlParams, getSourceEngine, isSearchPage } from './utils.js';
+
+// Engine the keyboard shortcut redirects to, unless the page is on it
+const DEFAULT_TARGET = 'duckduckgo';
+
+/**
+ * Lists the engines the current search can be sent to: all of them but the
+ * one the page belongs to
+ * @returns {Object[]} The target engine adapters
+ */
+export function getTargetEngines() {
+  const source = getSourceEngine();
+  return getEngines().filter(engine => !source || engine.id !== source.id);
+}
+
+/**
+ * Gets the engine to redirect to when the user has not picked one
+ * @returns {string} The target engine id
+ */
+export function getDefaultTarget() {
+  const targets = getTargetEngines();
+  return (targets.find(engine => engine.id === DEFAULT_TARGET) || targets[0])
+    .id;
+}
+
+/**
+ * Shows the "Open in" engine bar if the page is a supported results page;
+ * its buttons run the same redirect flow as the bookmarklets
+ * @returns {HTMLElement|null} The bar's host element, or null on other pages
+ */
+export function showEngineBar() {
+  if (!isSearchPage()) return null;
+
+  // Speak the language of the search page, or else of the browser
+  selectLocale(extractUrlParams().hl);
+  return createEngineBar(getTargetEngines(), engineId => runRedirect(engineId));
+}
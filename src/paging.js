@@ -0,0 +1,51 @@
+/**
+ * Google's result paging
+ *
+ * Google pages with start, the zero-based index of the first result shown,
+ * and num, the number of results per page (10 unless set). Other engines
+ * page either by result index, which keeps the position exactly, or by page
+ * number.
+ */
+
+export const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Reads Google's start parameter
+ * @param {string} startValue - The start value
+ * @returns {number} Zero-based index of the first result, 0 if invalid
+ */
+export function getResultOffset(startValue) {
+  const offset = parseInt(startValue, 10);
+  return offset > 0 ? offset : 0;
+}
+
+/**
+ * Works out the page number shown by Google's start and num parameters
+ * @param {string} startValue - The start value
+ * @param {Object} params - All Google parameters, for the page size (num)
+ * @returns {number} One-based page number
+ */
+export function getPageNumber(startValue, params) {
+  const pageSize = parseInt(params.num, 10) || DEFAULT_PAGE_SIZE;
+  return Math.floor(getResultOffset(startValue) / pageSize) + 1;
+}
+
+/**
+ * Tells whether Google shows as many results per page as other engines
+ * do, so that a page number means the same results on both
+ * @param {Object} params - All Google parameters
+ * @returns {boolean} Whether num is unset or the default
+ */
+export function hasDefaultPageSize(params) {
+  const pageSize = parseInt(params.num, 10);
+  return !pageSize || pageSize === DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Builds Google's start value for a page of another engine
+ * @param {number} page - One-based page number
+ * @returns {string|null} The start value, or null for the first page
+ */
+export function toResultOffset(page) {
+  return page > 1 ? String((page - 1) * DEFAULT_PAGE_SIZE) : null;
+}
@@ -0,0 +1,199 @@
+/**
+ * Named parameter presets, stored in the page's localStorage
+ *
+ * A preset (or remembered selection) lists entry keys to keep (see
+ * getParameterEntries in utils.js) and, optionally, the target engines to
+ * open. Keys absent from the current page are ignored when it is applied.
+ */
+
+import { t } from './i18n/index.js';
+
+const STORAGE_KEY = 'search-redirect-presets';
+
+// Presets that always exist and cannot be deleted. They are known by key,
+// as their names follow the page's language.
+const BUILT_IN_PRESETS = [
+  { key: 'query-only', message: 'preset.queryOnly', params: [] },
+  {
+    key: 'time-region',
+    message: 'preset.timeRegion',
+    params: ['tbs:qdr', 'tbs:cdr', 'gl', 'cr'],
+  },
+];
+
+/**
+ * Reads the stored preset state
+ * @returns {{presets: Object[], defaultPreset: string|null, rememberLast: boolean, last: Object|null}}
+ */
+function readState() {
+  let stored = null;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Storage can be disabled or hold invalid JSON, start from scratch
+  }
+  return {
+    presets: [],
+    defaultPreset: null,
+    rememberLast: false,
+    last: null,
+    ...stored,
+  };
+}
+
+/**
+ * Writes the preset state back to storage
+ * @param {Object} state - The state from readState()
+ * @returns {boolean} Whether the state could be saved
+ */
+function writeState(state) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lists the built-in presets, named in the current language
+ * @returns {Object[]} Presets with key, name and params
+ */
+function getBuiltInPresets() {
+  return BUILT_IN_PRESETS.map(({ key, message, params }) => ({
+    key,
+    name: t(message),
+    params,
+    builtIn: true,
+  }));
+}
+
+/**
+ * Lists the built-in and user-defined presets
+ *
+ * A user-defined preset's key is its name.
+ * @returns {Object[]} Presets with key, name, params and optional engines
+ */
+export function getPresets() {
+  return [
+    ...getBuiltInPresets(),
+    ...readState().presets.map(preset => ({ ...preset, key: preset.name })),
+  ];
+}
+
+/**
+ * Looks up a preset by key
+ * @param {string} key - The preset key
+ * @returns {Object|null} The preset, or null if it does not exist
+ */
+export function getPreset(key) {
+  return getPresets().find(preset => preset.key === key) || null;
+}
+
+/**
+ * Saves a user-defined preset, replacing one with the same name
+ * @param {string} name - The preset name
+ * @param {{params: string[], engines?: string[]}} selection - What to keep
+ * @returns {boolean} Whether the preset could be saved
+ */
+export function savePreset(name, selection) {
+  const builtIn = getBuiltInPresets().some(
+    preset => preset.key === name || preset.name === name
+  );
+  if (builtIn) return false;
+
+  const state = readState();
+  state.presets = state.presets.filter(preset => preset.name !== name);
+  state.presets.push({
+    name,
+    params: selection.params,
+    engines: selection.engines,
+  });
+  return writeState(state);
+}
+
+/**
+ * Deletes a user-defined preset
+ * @param {string} name - The preset name
+ * @returns {boolean} Whether the change could be saved
+ */
+export function deletePreset(name) {
+  const state = readState();
+  state.presets = state.presets.filter(preset => preset.name !== name);
+  if (state.defaultPreset === name) state.defaultPreset = null;
+  return writeState(state);
+}
+
+/**
+ * Gets the preset used for quick redirects without the dialog
+ * @returns {Object|null} The default preset, or null if none is set
+ */
+export function getDefaultPreset() {
+  const { defaultPreset } = readState();
+  return defaultPreset ? getPreset(defaultPreset) : null;
+}
+
+/**
+ * Sets or clears the preset used for quick redirects
+ * @param {string|null} key - The preset key, or null to always show the dialog
+ * @returns {boolean} Whether the change could be saved
+ */
+export function setDefaultPreset(key) {
+  const state = readState();
+  state.defaultPreset = key;
+  return writeState(state);
+}
+
+/**
+ * Tells whether the last choice made in the dialog is remembered
+ * @returns {boolean} True if the dialog starts with the last choice
+ */
+export function isRememberingLast() {
+  return readState().rememberLast;
+}
+
+/**
+ * Turns remembering the last choice on or off
+ * @param {boolean} remember - Whether to remember the last choice
+ * @returns {boolean} Whether the change could be saved
+ */
+export function setRememberLast(remember) {
+  const state = readState();
+  state.rememberLast = remember;
+  if (!remember) state.last = null;
+  return writeState(state);
+}
+
+/**
+ * Stores the choice just made, if remembering is turned on
+ * @param {{params: string[], engines: string[]}} selection - The choice
+ */
+export function rememberSelection(selection) {
+  const state = readState();
+  if (!state.rememberLast) return;
+  state.last = selection;
+  writeState(state);
+}
+
+/**
+ * Gets the remembered last choice
+ * @returns {Object|null} The last selection, or null if none is remembered
+ */
+export function getLastSelection() {
+  const state = readState();
+  return state.rememberLast ? state.last : null;
+}
+
+/**
+ * Turns a preset into selected parameters for the current page
+ * @param {{params: string[]}} preset - The preset or remembered selection
+ * @param {{key: string}[]} entries - Selectable entries of the current page
+ * @returns {Object} Entry keys as keys, true/false as values
+ */
+export function applyPreset(preset, entries) {
+  const selectedParams = {};
+  entries.forEach(entry => {
+    selectedParams[entry.key] = preset.params.includes(entry.key);
+  });
+  return selectedParams;
+}
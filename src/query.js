@@ -0,0 +1,255 @@
+/**
+ * Tokenizer and per-engine rewriter for search operators in a query
+ *
+ * Queries are tokenized with Google's operator syntax, then rewritten for
+ * the target engine using the adapter's `operators` table.
+ */
+
+import { getBangs } from './bangs.js';
+import { getEngine } from './engines/index.js';
+import { isApproximate } from './engines/shared.js';
+
+// Operators written as name:value, with their alternative spellings
+const OPERATOR_ALIASES = {
+  site: 'site',
+  filetype: 'filetype',
+  ext: 'filetype',
+  intitle: 'intitle',
+  allintitle: 'intitle',
+  inurl: 'inurl',
+  allinurl: 'inurl',
+  intext: 'intext',
+  allintext: 'intext',
+  before: 'before',
+  after: 'after',
+};
+
+// Operators whose value is still a useful search term when unsupported
+const TERM_OPERATORS = ['intitle', 'inurl', 'intext'];
+
+// A DuckDuckGo !bang (!w, !gh, !mdn), also understood by some other engines.
+// Only a known bang or one that starts the query counts (see isBang)
+const BANG_PATTERN = /^!([a-z0-9][\w.-]*)$/i;
+
+const TOKEN_PATTERN =
+  /(-?)"([^"]*)"?|(-?)([a-z]+):("[^"]*"?|\S+)|AROUND\((\d+)\)|(\S+)/gi;
+
+/**
+ * Tells whether a word of the query is a !bang
+ *
+ * DuckDuckGo takes whatever bang starts the query. Further on, only the
+ * bangs of getBangs() count, so that words like '!important' stay terms.
+ * @param {string} word - The word (e.g., '!w')
+ * @param {boolean} first - Whether the word starts the query
+ * @returns {boolean} True if the word is a bang
+ */
+function isBang(word, first) {
+  const match = BANG_PATTERN.exec(word);
+  if (!match) return false;
+  const name = match[1].toLowerCase();
+  return first || getBangs().some(bang => bang.bang === name);
+}
+
+/**
+ * Splits a query into terms, phrases and operators
+ *
+ * Token types:
+ * - term: A plain word, with text and negated flag
+ * - phrase: A quoted phrase, with text and negated flag
+ * - operator: A name:value operator (site, filetype, intitle, inurl, intext,
+ *   before, after), with name, value and negated flag
+ * - or: The OR operator (also written as |)
+ * - around: AROUND(n), with distance
+ * - bang: A !bang that sends the search to another site, with its name in
+ *   lower case (e.g., 'w' for !w); see isBang()
+ * Every token keeps its original text as raw.
+ * @param {string} query - The search query
+ * @returns {Object[]} The tokens in query order
+ */
+export function tokenizeQuery(query) {
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(query || '')) !== null) {
+    const [raw, phraseNegation, phrase, operatorNegation, name, value] = match;
+    const operatorName = name && OPERATOR_ALIASES[name.toLowerCase()];
+
+    if (phrase !== undefined) {
+      tokens.push({
+        type: 'phrase',
+        text: phrase,
+        negated: phraseNegation === '-',
+        raw,
+      });
+    } else if (operatorName) {
+      tokens.push({
+        type: 'operator',
+        name: operatorName,
+        value: value.replace(/^"|"$/g, ''),
+        negated: operatorNegation === '-',
+        raw,
+      });
+    } else if (match[6] !== undefined) {
+      tokens.push({ type: 'around', distance: Number(match[6]), raw });
+    } else if (raw === 'OR' || raw === '|') {
+      tokens.push({ type: 'or', raw });
+    } else if (isBang(raw, tokens.length === 0)) {
+      tokens.push({
+        type: 'bang',
+        name: BANG_PATTERN.exec(raw)[1].toLowerCase(),
+        raw,
+      });
+    } else {
+      tokens.push({
+        type: 'term',
+        text: raw.replace(/^-/, ''),
+        negated: raw.length > 1 && raw.startsWith('-'),
+        raw,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Finds the first bang in a query and takes it out
+ * @param {string} query - The search query (e.g., '!w rust')
+ * @returns {{bang: string, query: string}|null} The bang name and the rest
+ *   of the query, or null if the query has no bang
+ */
+export function findBang(query) {
+  const tokens = tokenizeQuery(query);
+  const bangToken = tokens.find(token => token.type === 'bang');
+  if (!bangToken) return null;
+  return {
+    bang: bangToken.name,
+    query: tokens
+      .filter(token => token !== bangToken)
+      .map(token => token.raw)
+      .join(' '),
+  };
+}
+
+/**
+ * Parses the date of a before:/after: operator
+ * @param {string} value - The date (YYYY-MM-DD, YYYY/MM/DD or YYYY)
+ * @returns {Date|null} The date, or null if it cannot be parsed
+ */
+function parseOperatorDate(value) {
+  const match = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+  return new Date(
+    Number(match[1]),
+    Number(match[2] || 1) - 1,
+    Number(match[3] || 1)
+  );
+}
+
+/**
+ * Writes a token back as query text
+ * @param {Object} token - The token
+ * @param {string} [operatorName] - Operator name to use instead of the token's
+ * @returns {string} Query text
+ */
+function formatToken(token, operatorName) {
+  const negation = token.negated ? '-' : '';
+  switch (token.type) {
+    case 'phrase':
+      return `${negation}"${token.text}"`;
+    case 'operator': {
+      const value = /\s/.test(token.value) ? `"${token.value}"` : token.value;
+      return `${negation}${operatorName || token.name}:${value}`;
+    }
+    default:
+      return token.raw;
+  }
+}
+
+/**
+ * Rewrites the operators of a query for a target search engine
+ *
+ * Operators the engine understands are written in its syntax. before: and
+ * after: become the engine's date range parameters when it has them. Other
+ * operators are reported as unsupported and removed, keeping their value as
+ * a plain term where it still helps the search (e.g., intitle:foo → foo).
+ * @param {string} query - The search query, using Google's operator syntax
+ * @param {string} searchEngine - The target engine id ('duckduckgo', etc.)
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.dates] - Turn before: and after: into date
+ *   parameters; when false they are left out and reported as unsupported
+ * @returns {{query: string, params: Object, unsupported: string[], approximate: string[]}}
+ *   The rewritten query, engine parameters taken from date operators, and
+ *   the original text of every operator that could not be honoured or only
+ *   comes close (a date range the engine rounds to a preset)
+ */
+export function rewriteQuery(query, searchEngine, { dates = true } = {}) {
+  const engine = getEngine(searchEngine);
+  if (!engine) {
+    throw new Error(`Unsupported search engine: ${searchEngine}`);
+  }
+
+  const operators = engine.operators || {};
+  const parts = [];
+  const unsupported = [];
+  const dateRange = { min: null, max: null };
+  const dateTokens = [];
+
+  tokenizeQuery(query).forEach(token => {
+    if (token.type === 'term') {
+      parts.push(token.raw);
+      return;
+    }
+
+    const support =
+      token.type === 'operator' ? operators[token.name] : operators[token.type];
+
+    if (token.type === 'operator' && !support) {
+      const date =
+        (token.name === 'before' || token.name === 'after') &&
+        !token.negated &&
+        parseOperatorDate(token.value);
+      if (date) {
+        // Resolved below, once all date operators have been collected
+        dateRange[token.name === 'after' ? 'min' : 'max'] = date;
+        dateTokens.push(token);
+        return;
+      }
+      unsupported.push(token.raw);
+      if (TERM_OPERATORS.includes(token.name) && !token.negated) {
+        parts.push(token.value);
+      }
+      return;
+    }
+
+    if (!support) {
+      unsupported.push(token.raw);
+      // A phrase still contributes its words
+      if (token.type === 'phrase') parts.push(token.text);
+      return;
+    }
+
+    parts.push(
+      formatToken(token, typeof support === 'string' ? support : undefined)
+    );
+  });
+
+  // Move before:/after: into the engine's date range parameters
+  let params = {};
+  const approximate = [];
+  if (dateTokens.length > 0) {
+    const mapper = dates ? engine.params['tbs:cdr'] : null;
+    const mapped = mapper ? mapper(dateRange) : null;
+    if (mapped) {
+      params = mapped;
+      if (isApproximate(mapped)) {
+        dateTokens.forEach(token => approximate.push(token.raw));
+      }
+    } else {
+      dateTokens.forEach(token => unsupported.push(token.raw));
+    }
+  }
+
+  return { query: parts.join(' '), params, unsupported, approximate };
+}
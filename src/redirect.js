@@ -0,0 +1,230 @@
+/**
+ * Shared redirect flow used by every search engine bookmarklet
+ */
+
+import {
+  isGoogleSearchPage,
+  isSearchPage,
+  extractUrlParams,
+  extractSearchQuery,
+  buildSearchUrl,
+  translateParams,
+  getParameterEntries,
+} from './utils.js';
+
+import { getEngine, getEngines } from './engines/index.js';
+import { formatList, selectLocale, t } from './i18n/index.js';
+import { applyPreset, getDefaultPreset, rememberSelection } from './presets.js';
+import { extractQueryCorrection } from './results.js';
+import { setPreferredTheme } from './styles.js';
+import { createLinksPanel, createModal, createToast } from './ui.js';
+
+// How long the quick redirect notice waits for Shift or a click on its
+// Options button, in milliseconds
+const QUICK_REDIRECT_DELAY = 1500;
+
+// How long the notice of dropped selections stays, in milliseconds
+const DROPPED_NOTICE_DURATION = 5000;
+
+/**
+ * Redirects the current search to a target search engine
+ * @param {string} engineId - The target engine id (e.g., 'duckduckgo')
+ * @param {Object} [config] - Settings of a bookmarklet made with the
+ *   install page's configurator
+ * @param {string[]} [config.params] - Parameters to select, as entry keys
+ *   (e.g., 'tbs:qdr', 'lr'), when the user has no default preset
+ * @param {boolean} [config.skipDialog] - Redirect with those parameters
+ *   after the quick redirect notice, as a default preset does
+ * @param {'auto'|'light'|'dark'} [config.theme] - Dialog theme
+ */
+export function runRedirect(engineId, config = {}) {
+  // Speak the language of the search page, or else of the browser
+  selectLocale(extractUrlParams().hl);
+  setPreferredTheme(config.theme);
+
+  const engine = getEngine(engineId);
+  if (!engine) {
+    alert(t('error.unknownEngine', { engine: engineId }));
+    return;
+  }
+
+  // Check if we're on a supported search results page
+  if (!isSearchPage()) {
+    const sourceNames = getEngines()
+      .filter(source => source.parse)
+      .map(source => source.name);
+    alert(t('error.notSearchPage', { engines: formatList(sourceNames) }));
+    return;
+  }
+
+  // Extract current search parameters
+  const allParams = extractUrlParams();
+  const searchQuery = extractSearchQuery();
+
+  if (!searchQuery) {
+    alert(t('error.noQuery'));
+    return;
+  }
+
+  // Google may have searched for a corrected query; the results shown are
+  // for that one, and nfpr=1 is how Google turns the correction off
+  const correction = isGoogleSearchPage() ? extractQueryCorrection() : null;
+  if (correction && !allParams.nfpr) allParams.nfpr = '1';
+
+  /**
+   * Opens the query in the target engines with the selected parameters
+   * @param {Object} selectedParams - Entry keys as keys, true/false as values
+   * @param {string} query - The search query
+   * @param {string[]} engineIds - Target engine ids
+   * @returns {string[]} One notice per engine that drops selections
+   */
+  const redirect = (selectedParams, query, engineIds) => {
+    // Build one URL per target engine with its own parameter mapping
+    const targets = engineIds.map(id => ({
+      engine: getEngine(id),
+      url: buildSearchUrl(id, query, selectedParams, allParams),
+    }));
+
+    openTargets(targets);
+
+    // The selections each engine could not take, for the quick redirect
+    // notice; the dialog shows them in its support column
+    return targets
+      .map(target => ({
+        target,
+        unsupported: translateParams(
+          target.engine.id,
+          selectedParams,
+          allParams
+        ).unsupported,
+      }))
+      .filter(({ unsupported }) => unsupported.length > 0)
+      .map(({ target, unsupported }) =>
+        t('preset.dropped', {
+          engine: target.engine.name,
+          params: formatList(
+            getParameterEntries(allParams)
+              .filter(entry => unsupported.includes(entry.key))
+              .map(entry => entry.description)
+          ),
+        })
+      );
+  };
+
+  const showDialog = () => {
+    // Show modal for parameter selection
+    createModal(
+      allParams,
+      searchQuery,
+      // onSubmit callback
+      (selectedParams, query, engineIds) => {
+        rememberSelection({
+          params: Object.keys(selectedParams).filter(
+            key => selectedParams[key]
+          ),
+          engines: engineIds,
+        });
+        redirect(selectedParams, query, engineIds);
+      },
+      // onCancel callback
+      () => {
+        // User cancelled, do nothing
+      },
+      { engine: engine.id, correction, selection: configuredPreset }
+    );
+  };
+
+  // The bookmarklet's own settings act as a preset the user did not save
+  const configuredPreset =
+    config.params || config.skipDialog
+      ? { name: t('preset.configured'), params: config.params || [] }
+      : null;
+
+  // Quick mode: with a default preset, redirect straight away unless the
+  // user holds Shift to get the dialog
+  const defaultPreset =
+    getDefaultPreset() || (config.skipDialog ? configuredPreset : null);
+  if (!defaultPreset) {
+    showDialog();
+    return;
+  }
+
+  // A preset saved with several engines checked opens all of those
+  const presetEngineIds = (defaultPreset.engines || []).filter(id =>
+    getEngine(id)
+  );
+  const engineIds = presetEngineIds.length > 0 ? presetEngineIds : [engine.id];
+  const toast = createToast(
+    t('preset.quickRedirect', {
+      engine: formatList(engineIds.map(id => getEngine(id).name)),
+      preset: defaultPreset.name,
+    }),
+    t('preset.options')
+  );
+  waitForOptions(toast, QUICK_REDIRECT_DELAY).then(wantsOptions => {
+    toast.remove();
+    if (wantsOptions) {
+      showDialog();
+      return;
+    }
+    const dropped = redirect(
+      applyPreset(defaultPreset, getParameterEntries(allParams)),
+      correction ? correction.corrected : searchQuery,
+      engineIds
+    );
+    if (dropped.length > 0) {
+      const notice = createToast(dropped.join('\n'));
+      setTimeout(() => notice.remove(), DROPPED_NOTICE_DURATION);
+    }
+  });
+}
+
+/**
+ * Waits briefly for the user to ask for the dialog
+ *
+ * Bookmarklets get no click event, and browsers keep Shift+click on a
+ * bookmark for themselves (it opens a new window), so the request is read
+ * from Shift presses and clicks on the notice's Options button while the
+ * notice is showing.
+ * @param {HTMLElement} notice - The quick redirect notice's host element
+ * @param {number} delay - How long to wait, in milliseconds
+ * @returns {Promise<boolean>} Whether the user asked for the dialog
+ */
+function waitForOptions(notice, delay) {
+  return new Promise(resolve => {
+    const eventTypes = ['keydown', 'mousemove', 'pointerdown'];
+    const check = e => {
+      if (e.shiftKey || e.key === 'Shift') finish(true);
+    };
+    const choose = () => finish(true);
+    const finish = wantsOptions => {
+      clearTimeout(timer);
+      eventTypes.forEach(type => {
+        document.removeEventListener(type, check, true);
+      });
+      notice.removeEventListener('click', choose);
+      resolve(wantsOptions);
+    };
+    eventTypes.forEach(type => {
+      document.addEventListener(type, check, true);
+    });
+    notice.addEventListener('click', choose);
+    const timer = setTimeout(() => finish(false), delay);
+  });
+}
+
+/**
+ * Opens one tab per target, offering links for the tabs that were blocked
+ *
+ * Browsers usually allow only the first window.open() of a click, so when
+ * several engines are selected the popup blocker may stop the others.
+ * @param {{engine: Object, url: string}[]} targets - The URLs to open
+ */
+function openTargets(targets) {
+  const blocked = targets.filter(target => !window.open(target.url, '_blank'));
+  if (blocked.length > 0) {
+    createLinksPanel(
+      blocked.map(target => ({ label: target.engine.name, url: target.url }))
+    );
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Extraction of the organic results shown on a Google results page
+ */
+
+// Containers of results that are not organic (ads, "People also ask", ...)
+const EXCLUDED_CONTAINERS = [
+  '#tads',
+  '#tadsb',
+  '#bottomads',
+  '.related-question-pair',
+  'g-accordion-expander',
+  'g-section-with-header',
+  'g-scrolling-carousel',
+].join(', ');
+
+// Elements holding the snippet below a result title
+const SNIPPET_SELECTORS = [
+  '.VwiC3b',
+  '[data-sncf]',
+  '.IsZvec',
+  '[style*="-webkit-line-clamp"]',
+].join(', ');
+
+/**
+ * Resolves Google's /url?q= redirect links to the real destination
+ * @param {string} href - The link URL
+ * @returns {string} The destination URL, or the link itself if not a redirect
+ */
+export function unwrapGoogleUrl(href) {
+  let url;
+  try {
+    url = new URL(href, window.location.href);
+  } catch {
+    return href;
+  }
+  if (/(^|\.)google\./.test(url.hostname) && url.pathname === '/url') {
+    return url.searchParams.get('q') || url.searchParams.get('url') || href;
+  }
+  return url.href;
+}
+
+/**
+ * Collects the organic results of the current Google results page
+ * @param {number} [offset] - Rank of the first result minus one, from the
+ *   page's start parameter
+ * @returns {{rank: number, title: string, url: string, snippet: string}[]}
+ *   Results in page order
+ */
+export function extractResults(offset = 0) {
+  const results = [];
+  const seenUrls = new Set();
+
+  document.querySelectorAll('#search a h3').forEach(heading => {
+    const link = heading.closest('a');
+    if (!link || link.closest(EXCLUDED_CONTAINERS)) return;
+
+    const url = unwrapGoogleUrl(link.getAttribute('href') || '');
+    if (!/^https?:/.test(url) || seenUrls.has(url)) return;
+    seenUrls.add(url);
+
+    const container =
+      link.closest('.g, .MjjYud, [data-hveid]') || link.parentElement;
+    const snippetElement = container.querySelector(SNIPPET_SELECTORS);
+
+    results.push({
+      rank: offset + results.length + 1,
+      title: heading.textContent.trim(),
+      url,
+      snippet: snippetElement
+        ? snippetElement.textContent.replace(/\s+/g, ' ').trim()
+        : '',
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Reads Google's autocorrect notice ("Showing results for X. Search instead
+ * for Y"), shown when Google searched for a corrected query
+ * @returns {{corrected: string, original: string}|null} Both queries, or
+ *   null if Google did not correct this one
+ */
+export function extractQueryCorrection() {
+  const correctedLink = document.querySelector('a#fprsl');
+  const originalLink = document.querySelector('a.spell_orig');
+  if (!correctedLink || !originalLink) return null;
+
+  const corrected = getLinkQuery(correctedLink);
+  const original = getLinkQuery(originalLink);
+  return corrected && original && corrected !== original
+    ? { corrected, original }
+    : null;
+}
+
+/**
+ * Gets the query a Google search link leads to
+ * @param {HTMLAnchorElement} link - The link
+ * @returns {string} The link's q parameter, or else its text
+ */
+function getLinkQuery(link) {
+  try {
+    const url = new URL(link.getAttribute('href') || '', window.location.href);
+    const query = url.searchParams.get('q');
+    if (query) return query.trim();
+  } catch {
+    // Not a valid link, fall back to the text
+  }
+  return link.textContent.replace(/\s+/g, ' ').trim();
+}
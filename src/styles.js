@@ -0,0 +1,505 @@
+/**
+ * Stylesheet and theme detection for the dialogs
+ *
+ * The dialogs render inside a Shadow DOM root, so the search page's own CSS
+ * cannot restyle them and these rules cannot leak into the page.
+ */
+
+const LIGHT_COLORS = `
+  --background: #ffffff;
+  --text: #202124;
+  --muted: #5f6368;
+  --border: #dadce0;
+  --accent: #1a73e8;
+  --accent-hover: #1765cc;
+  --accent-text: #ffffff;
+  --surface: #f1f3f4;
+  --hover: #f8f9fa;
+  --warning-background: #fef7e0;
+  --warning-border: #fbbc04;
+  --toast-background: #202124;
+  --toast-text: #ffffff;
+  color-scheme: light;
+`;
+
+const DARK_COLORS = `
+  --background: #202124;
+  --text: #e8eaed;
+  --muted: #9aa0a6;
+  --border: #5f6368;
+  --accent: #8ab4f8;
+  --accent-hover: #aecbfa;
+  --accent-text: #202124;
+  --surface: #303134;
+  --hover: #3c4043;
+  --warning-background: #3f3a1e;
+  --warning-border: #fdd663;
+  --toast-background: #e8eaed;
+  --toast-text: #202124;
+  color-scheme: dark;
+`;
+
+/**
+ * Stylesheet shared by every dialog. The host element carries
+ * data-theme="light" or "dark" when the page's own theme is known;
+ * otherwise the dialog follows prefers-color-scheme.
+ */
+export const DIALOG_STYLES = `
+  :host {
+    all: initial;
+    ${LIGHT_COLORS}
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+  }
+
+  :host([data-theme='dark']) {
+    ${DARK_COLORS}
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :host(:not([data-theme='light'])) {
+      ${DARK_COLORS}
+    }
+  }
+
+  [hidden] {
+    display: none !important;
+  }
+
+  .overlay {
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background-color: rgba(0, 0, 0, 0.5);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+  }
+
+  .dialog {
+    background: var(--background);
+    color: var(--text);
+    border-radius: 8px;
+    padding: 24px;
+    max-width: 600px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    box-sizing: border-box;
+  }
+
+  .dialog.narrow {
+    max-width: 480px;
+  }
+
+  h2 {
+    margin: 0 0 16px 0;
+    font-size: 20px;
+    font-weight: 600;
+    color: var(--text);
+  }
+
+  .narrow h2 {
+    margin-bottom: 8px;
+  }
+
+  .summary {
+    margin: 0 0 16px 0;
+    color: var(--muted);
+    font-size: 14px;
+  }
+
+  .section {
+    margin-bottom: 20px;
+  }
+
+  .section-label {
+    display: block;
+    font-weight: 500;
+    margin-bottom: 12px;
+    color: var(--muted);
+    font-size: 14px;
+  }
+
+  .field {
+    padding: 8px 12px;
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    font: inherit;
+    font-size: 14px;
+    background: var(--background);
+    color: var(--text);
+    box-sizing: border-box;
+  }
+
+  input.field {
+    width: 100%;
+  }
+
+  select.field {
+    flex: 1;
+    padding: 6px 8px;
+  }
+
+  select.bang-list {
+    width: 100%;
+    margin-bottom: 8px;
+  }
+
+  .warning {
+    background: var(--warning-background);
+    border-left: 4px solid var(--warning-border);
+    padding: 8px 12px;
+    margin: 8px 0 0 0;
+    color: var(--text);
+    font-size: 13px;
+    white-space: pre-line;
+  }
+
+  .preview {
+    display: flex;
+    gap: 8px;
+    align-items: flex-start;
+    margin-top: 8px;
+  }
+
+  .preview-list {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    min-width: 0;
+  }
+
+  .preview-list code {
+    padding: 8px 12px;
+    border-radius: 4px;
+    background-color: var(--surface);
+    color: var(--muted);
+    font-size: 12px;
+    font-family: 'Courier New', monospace;
+    word-break: break-all;
+  }
+
+  .row {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+    margin-bottom: 8px;
+  }
+
+  button {
+    border-radius: 4px;
+    font-family: inherit;
+    font-weight: 500;
+    cursor: pointer;
+    white-space: nowrap;
+  }
+
+  button:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+
+  button:focus-visible,
+  input:focus-visible,
+  select:focus-visible,
+  a:focus-visible {
+    outline: 2px solid var(--accent);
+    outline-offset: 2px;
+  }
+
+  .small {
+    padding: 6px 12px;
+    border: 1px solid var(--border);
+    background: var(--background);
+    color: var(--accent);
+    font-size: 13px;
+  }
+
+  .secondary {
+    padding: 10px 24px;
+    border: 1px solid var(--border);
+    background: var(--background);
+    color: var(--muted);
+    font-size: 14px;
+  }
+
+  .small:hover:not(:disabled),
+  .secondary:hover {
+    background: var(--hover);
+  }
+
+  .primary {
+    padding: 10px 24px;
+    border: none;
+    background: var(--accent);
+    color: var(--accent-text);
+    font-size: 14px;
+  }
+
+  .primary:hover {
+    background: var(--accent-hover);
+  }
+
+  .option {
+    display: flex;
+    align-items: center;
+    padding: 8px 0;
+    cursor: pointer;
+  }
+
+  .option.spaced {
+    margin-bottom: 12px;
+  }
+
+  .option input {
+    margin: 0 12px 0 0;
+    width: 18px;
+    height: 18px;
+    cursor: pointer;
+  }
+
+  .option label {
+    font-size: 14px;
+    color: var(--text);
+    cursor: pointer;
+    flex: 1;
+    overflow-wrap: anywhere;
+  }
+
+  .option input:disabled,
+  .option input:disabled + label {
+    cursor: default;
+    color: var(--muted);
+  }
+
+  .support {
+    margin-left: 8px;
+    padding: 1px 8px;
+    border: 1px solid var(--border);
+    border-radius: 10px;
+    font-size: 12px;
+    white-space: nowrap;
+    color: var(--muted);
+  }
+
+  .support.full {
+    border-color: var(--accent);
+    color: var(--accent);
+  }
+
+  .support.approximate {
+    border-color: var(--warning-border);
+    background: var(--warning-background);
+    color: var(--text);
+  }
+
+  .group-label {
+    margin: 12px 0 4px;
+    font-size: 13px;
+    color: var(--muted);
+  }
+
+  .separator {
+    height: 1px;
+    background-color: var(--border);
+    margin: 12px 0;
+  }
+
+  .empty {
+    color: var(--muted);
+    font-size: 14px;
+    margin: 8px 0;
+    font-style: italic;
+  }
+
+  .engine-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+    column-gap: 12px;
+  }
+
+  .actions {
+    display: flex;
+    gap: 12px;
+    justify-content: flex-end;
+    margin-top: 24px;
+  }
+
+  .links {
+    margin: 0 0 16px 0;
+    padding-left: 20px;
+  }
+
+  .links li {
+    margin: 8px 0;
+  }
+
+  .links a {
+    color: var(--accent);
+    font-size: 14px;
+    font-weight: 500;
+  }
+
+  .format-list {
+    margin-bottom: 16px;
+  }
+
+  .format-row {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+    padding: 8px 0;
+  }
+
+  .format-label {
+    flex: 1;
+    font-size: 14px;
+    color: var(--text);
+  }
+
+  .toast {
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 10px 20px;
+    border-radius: 4px;
+    background: var(--toast-background);
+    color: var(--toast-text);
+    font-size: 14px;
+    white-space: pre-line;
+    z-index: 10000;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  }
+
+  .toast button {
+    margin-left: 12px;
+    padding: 2px 10px;
+    border: 1px solid currentColor;
+    border-radius: 4px;
+    background: none;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+  }
+
+  .engine-bar {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+    align-items: center;
+    max-width: calc(100vw - 64px);
+    padding: 8px 12px;
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    background: var(--background);
+    color: var(--text);
+    font-size: 13px;
+    z-index: 9999;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+  }
+
+  .engine-bar .close {
+    padding: 2px 6px;
+    border: none;
+    background: none;
+    color: var(--muted);
+    font-size: 16px;
+    line-height: 1;
+  }
+`;
+
+// Theme chosen for the dialogs, overriding the page's ('light' or 'dark')
+let preferredTheme = null;
+
+/**
+ * Chooses the dialog theme instead of following the page
+ * @param {'light'|'dark'|'auto'|null} theme - The theme; 'auto' or null
+ *   goes back to following the page
+ */
+export function setPreferredTheme(theme) {
+  preferredTheme = theme === 'light' || theme === 'dark' ? theme : null;
+}
+
+/**
+ * Gets the theme the dialogs should use: the one chosen with
+ * setPreferredTheme(), otherwise the page's own
+ * @returns {'light'|'dark'|null} The theme, or null to follow the browser
+ */
+export function getDialogTheme() {
+  return preferredTheme || detectPageTheme();
+}
+
+/**
+ * Works out whether the search page is showing a light or a dark theme
+ *
+ * Looks at the page background first, since that is what the dialog sits
+ * on, then at a color-scheme the page pins to a single value.
+ * @returns {'light'|'dark'|null} The page's theme, or null when the page
+ *   leaves it to the browser
+ */
+export function detectPageTheme() {
+  for (const element of [document.body, document.documentElement]) {
+    if (!element) continue;
+    const color = parseColor(window.getComputedStyle(element).backgroundColor);
+    if (color && color.alpha > 0) {
+      // Below this, white text contrasts better than black text
+      return getLuminance(color) < 0.18 ? 'dark' : 'light';
+    }
+  }
+
+  const meta = document.querySelector('meta[name="color-scheme"]');
+  const schemes = [
+    window.getComputedStyle(document.documentElement).colorScheme,
+    meta && meta.getAttribute('content'),
+  ];
+  for (const scheme of schemes) {
+    const value = (scheme || '').trim().toLowerCase();
+    if (value === 'dark' || value === 'only dark') return 'dark';
+    if (value === 'light' || value === 'only light') return 'light';
+  }
+
+  return null;
+}
+
+/**
+ * Parses a computed rgb() or rgba() color
+ * @param {string} value - Computed color, e.g. "rgb(32, 33, 36)"
+ * @returns {{red: number, green: number, blue: number, alpha: number}|null}
+ *   The color channels, or null for other formats
+ */
+function parseColor(value) {
+  const match = /^rgba?\(([^)]+)\)$/.exec((value || '').trim());
+  if (!match) return null;
+  const [red, green, blue, alpha = 1] = match[1]
+    .split(/[\s,/]+/)
+    .filter(Boolean)
+    .map(Number);
+  if ([red, green, blue, alpha].some(Number.isNaN)) return null;
+  return { red, green, blue, alpha };
+}
+
+/**
+ * Calculates the relative luminance of a color (WCAG definition)
+ * @param {{red: number, green: number, blue: number}} color - 0-255 channels
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+function getLuminance(color) {
+  const [red, green, blue] = [color.red, color.green, color.blue].map(
+    channel => {
+      const value = channel / 255;
+      return value <= 0.03928
+        ? value / 12.92
+        : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+  );
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
@@ -0,0 +1,146 @@
+/**
+ * Parser for Google's tbs ("to be searched") parameter
+ *
+ * tbs packs several search tools into one comma-separated value, e.g.
+ * 'qdr:w2,li:1' or 'cdr:1,cd_min:1/1/2024,cd_max:6/30/2024'. Each tool is
+ * parsed into a typed component so it can be shown and translated on its own.
+ */
+
+const TIME_UNITS = ['h', 'd', 'w', 'm', 'y'];
+
+/**
+ * Parses a Google custom range date (M/D/YYYY)
+ * @param {string} value - The date string
+ * @returns {Date|null} The date, or null if the string is not a valid date
+ */
+function parseGoogleDate(value) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+}
+
+/**
+ * Splits a tbs value into typed components
+ *
+ * Component types:
+ * - qdr: Relative time range, with unit ('h', 'd', 'w', 'm', 'y') and count
+ * - cdr: Custom date range, with min and max dates (either may be null)
+ * - li: Verbatim mode
+ * - sbd: Sort by date
+ * - isz: Image size ('l', 'm', 'i'), in value
+ * - ic: Image colour ('color', 'gray', 'trans' or 'specific'), in value,
+ *   with the specific colour from the isc part ('red', 'blue', ...) in color
+ * - itp: Image type ('photo', 'clipart', 'lineart', 'face', 'animated')
+ * - il: Image usage rights ('cl' Creative Commons, 'ol' commercial)
+ * - anything else: Kept as-is, with the raw value
+ * @param {string} tbsValue - The tbs parameter value
+ * @returns {Object[]} Components, each with a type and its raw text
+ */
+export function parseTbs(tbsValue) {
+  const components = [];
+  const groups = {};
+
+  /**
+   * Gets the component that gathers several tbs parts, creating it with
+   * its initial fields the first time
+   * @param {string} type - The component type
+   * @param {Object} fields - Initial fields of the component
+   * @param {string} part - The tbs part being added
+   * @returns {Object} The component
+   */
+  const addToGroup = (type, fields, part) => {
+    if (!groups[type]) {
+      groups[type] = { type, ...fields, parts: [] };
+      components.push(groups[type]);
+    }
+    groups[type].parts.push(part);
+    return groups[type];
+  };
+
+  (tbsValue || '')
+    .split(',')
+    .filter(Boolean)
+    .forEach(part => {
+      const separator = part.indexOf(':');
+      const name = separator === -1 ? part : part.slice(0, separator);
+      const value = separator === -1 ? '' : part.slice(separator + 1);
+
+      if (name === 'cdr' || name === 'cd_min' || name === 'cd_max') {
+        // The range bounds are separate tbs parts, gather them into one
+        const range = addToGroup('cdr', { min: null, max: null }, part);
+        if (name === 'cd_min') range.min = parseGoogleDate(value);
+        if (name === 'cd_max') range.max = parseGoogleDate(value);
+        return;
+      }
+
+      if (name === 'ic' || name === 'isc') {
+        // So is a specific colour ('ic:specific,isc:red')
+        const color = addToGroup('ic', { value: '', color: null }, part);
+        if (name === 'ic') color.value = value;
+        if (name === 'isc') color.color = value;
+        return;
+      }
+
+      const qdr = /^([hdwmy])(\d*)$/.exec(value);
+      if (name === 'qdr' && qdr) {
+        components.push({
+          type: 'qdr',
+          unit: qdr[1],
+          count: Number(qdr[2]) || 1,
+          raw: part,
+        });
+      } else {
+        components.push({ type: name, value, raw: part });
+      }
+    });
+
+  Object.values(groups).forEach(group => {
+    group.raw = group.parts.join(',');
+    delete group.parts;
+  });
+
+  return components;
+}
+
+/**
+ * Turns a relative time range into an absolute date range ending today
+ * @param {Object} component - A qdr component from parseTbs()
+ * @param {Date} [now] - The end of the range (defaults to the current time)
+ * @returns {{min: Date, max: Date}} The date range
+ */
+export function getQdrRange(component, now = new Date()) {
+  const min = new Date(now.getTime());
+  const { unit, count } = component;
+  if (unit === 'h') min.setHours(min.getHours() - count);
+  if (unit === 'd') min.setDate(min.getDate() - count);
+  if (unit === 'w') min.setDate(min.getDate() - 7 * count);
+  if (unit === 'm') min.setMonth(min.getMonth() - count);
+  if (unit === 'y') min.setFullYear(min.getFullYear() - count);
+  return { min, max: now };
+}
+
+/**
+ * Tells whether a time preset matches a relative time range exactly
+ * @param {Object} component - A qdr component from parseTbs()
+ * @param {string} unit - The preset's unit
+ * @returns {boolean} Whether the preset covers the same span
+ */
+export function isExactTimeUnit(component, unit) {
+  return component.count === 1 && component.unit === unit;
+}
+
+/**
+ * Picks the smallest of an engine's time presets that covers a range
+ * @param {Object} component - A qdr component from parseTbs()
+ * @param {string[]} units - Units the engine offers (e.g., ['d', 'w', 'm'])
+ * @returns {string|null} The chosen unit, or null if none is long enough
+ */
+export function roundUpTimeUnit(component, units) {
+  const hours = { h: 1, d: 24, w: 24 * 7, m: 24 * 31, y: 24 * 366 };
+  const needed = hours[component.unit] * component.count;
+  return (
+    TIME_UNITS.filter(unit => units.includes(unit)).find(
+      unit => hours[unit] >= needed
+    ) || null
+  );
+}
@@ -2,156 +2,466 @@
  * UI component for parameter selection modal
  */
 
-import { getParameterDescription } from './utils.js';
+import {
+  addBang,
+  deleteBang,
+  getBangs,
+  normalizeBang,
+  saveBang,
+  searchBangs,
+} from './bangs.js';
+import { getEngine, getEngines } from './engines/index.js';
+import {
+  EXPORT_FORMATS,
+  downloadText,
+  formatResults,
+  getExportFileName,
+} from './export.js';
+import {
+  deletePreset,
+  getDefaultPreset,
+  getLastSelection,
+  getPreset,
+  getPresets,
+  isRememberingLast,
+  savePreset,
+  setDefaultPreset,
+  setRememberLast,
+} from './presets.js';
+import { formatList, getLocale, t } from './i18n/index.js';
+import { findBang } from './query.js';
+import { DIALOG_STYLES, getDialogTheme } from './styles.js';
+import {
+  buildSearchUrl,
+  getParameterEntries,
+  getParameterSupport,
+  getSearchTypeName,
+  rewriteQueryForParams,
+  translateParams,
+} from './utils.js';
 
 /**
  * Creates and displays a modal overlay for selecting search parameters
  * @param {Object} params - All URL parameters from Google
  * @param {string} searchQuery - The search query
- * @param {Function} onSubmit - Callback function called when user submits
+ * @param {Function} onSubmit - Callback function called when user submits,
+ *   with the selected parameters, the (possibly edited) search query and
+ *   the ids of the target engines to open. The dialog starts with the
+ *   remembered last choice or the default preset, if there is one.
  * @param {Function} onCancel - Callback function called when user cancels
- * @returns {HTMLElement} The modal element
+ * @param {Object} [options] - Additional options
+ * @param {string} [options.engine] - Target engine id checked by default
+ * @param {string[]} [options.engines] - Target engine ids checked by default,
+ *   to open the query in several engines at once
+ * @param {{params: string[], engines?: string[]}} [options.selection] -
+ *   Selection to start with when nothing is remembered and there is no
+ *   default preset, such as a configured bookmarklet's parameters
+ * @param {{corrected: string, original: string}} [options.correction] -
+ *   Google's autocorrection of the query, to choose between the corrected
+ *   query (the default) and the original one with autocorrect off (nfpr)
+ * @returns {HTMLElement} The modal's host element; the dialog itself lives
+ *   in its shadow root
  */
-export function createModal(params, searchQuery, onSubmit, onCancel) {
-  // Remove existing modal if present
-  const existingModal = document.getElementById('search-redirect-modal');
-  if (existingModal) {
-    existingModal.remove();
-  }
+export function createModal(
+  params,
+  searchQuery,
+  onSubmit,
+  onCancel,
+  options = {}
+) {
+  // Create the isolated host, replacing an existing modal if present
+  const { host, root } = createDialogHost('search-redirect-modal');
 
   // Create modal overlay
   const modal = document.createElement('div');
-  modal.id = 'search-redirect-modal';
-  modal.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background-color: rgba(0, 0, 0, 0.5);
-    display: flex;
-    justify-content: center;
-    align-items: center;
-    z-index: 10000;
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-  `;
+  modal.className = 'overlay';
 
   // Create modal content box
   const modalContent = document.createElement('div');
-  modalContent.style.cssText = `
-    background: white;
-    border-radius: 8px;
-    padding: 24px;
-    max-width: 600px;
-    width: 90%;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-  `;
+  modalContent.className = 'dialog';
 
   // Create header
   const header = document.createElement('h2');
-  header.textContent = 'Redirect Search to Alternative Engine';
-  header.style.cssText = `
-    margin: 0 0 16px 0;
-    font-size: 20px;
-    font-weight: 600;
-    color: #202124;
-  `;
+  header.id = 'search-redirect-title';
+  header.textContent = t('dialog.title');
 
   // Create search query display
   const querySection = document.createElement('div');
-  querySection.style.cssText = 'margin-bottom: 20px;';
+  querySection.className = 'section';
 
   const queryLabel = document.createElement('label');
-  queryLabel.textContent = 'Search Query:';
-  queryLabel.style.cssText = `
-    display: block;
-    font-weight: 500;
-    margin-bottom: 8px;
-    color: #5f6368;
-    font-size: 14px;
-  `;
+  queryLabel.textContent = t('dialog.query');
+  queryLabel.className = 'section-label';
+
+  // A bang already in the query is shown in the bang picker instead
+  const initialQuery =
+    (options.correction && options.correction.corrected) || searchQuery || '';
+  const initialBang = findBang(initialQuery);
 
   const queryInput = document.createElement('input');
   queryInput.type = 'text';
-  queryInput.value = searchQuery || '';
-  queryInput.readOnly = true;
-  queryInput.style.cssText = `
-    width: 100%;
-    padding: 8px 12px;
-    border: 1px solid #dadce0;
-    border-radius: 4px;
-    font-size: 14px;
-    background-color: #f8f9fa;
-    box-sizing: border-box;
-  `;
+  queryInput.id = 'search-redirect-query';
+  queryInput.value = initialBang ? initialBang.query : initialQuery;
+  queryInput.className = 'field';
+  queryLabel.htmlFor = queryInput.id;
 
   querySection.appendChild(queryLabel);
   querySection.appendChild(queryInput);
 
+  // Choice between Google's corrected query and the one typed
+  const correctionOptions = options.correction
+    ? [
+        createRadioOption(
+          'query-corrected',
+          'query-correction',
+          t('dialog.correctedQuery', { query: options.correction.corrected }),
+          true
+        ),
+        createRadioOption(
+          'query-original',
+          'query-correction',
+          t('dialog.originalQuery', { query: options.correction.original }),
+          false
+        ),
+      ]
+    : [];
+  if (correctionOptions.length > 0) {
+    const correctionGroup = document.createElement('div');
+    correctionGroup.setAttribute('role', 'radiogroup');
+    correctionGroup.setAttribute('aria-label', t('dialog.correction'));
+    correctionOptions.forEach(option => correctionGroup.appendChild(option));
+    querySection.appendChild(correctionGroup);
+  }
+
+  // Bang picker: a searchable list of common and user-defined bangs
+  let selectedBang = initialBang ? initialBang.bang : null;
+
+  const bangLabel = document.createElement('label');
+  bangLabel.textContent = t('bang.label');
+  bangLabel.className = 'section-label';
+
+  const bangRow = document.createElement('div');
+  bangRow.className = 'row';
+
+  const bangFilter = document.createElement('input');
+  bangFilter.type = 'search';
+  bangFilter.id = 'search-redirect-bang-filter';
+  bangFilter.placeholder = t('bang.search');
+  bangFilter.className = 'field';
+  bangLabel.htmlFor = bangFilter.id;
+
+  const addBangButton = document.createElement('button');
+  addBangButton.type = 'button';
+  addBangButton.textContent = t('bang.add');
+  addBangButton.className = 'small';
+
+  const deleteBangButton = document.createElement('button');
+  deleteBangButton.type = 'button';
+  deleteBangButton.textContent = t('bang.delete');
+  deleteBangButton.className = 'small';
+
+  bangRow.appendChild(bangFilter);
+  bangRow.appendChild(addBangButton);
+  bangRow.appendChild(deleteBangButton);
+
+  const bangList = document.createElement('select');
+  bangList.size = 4;
+  bangList.setAttribute('aria-label', t('bang.label'));
+  bangList.className = 'field bang-list';
+
+  const bangHint = document.createElement('p');
+  bangHint.className = 'summary';
+  bangHint.textContent = t('bang.hint', {
+    engines: formatList(
+      getEngines()
+        .filter(engine => engine.operators.bang)
+        .map(engine => engine.name)
+    ),
+  });
+
+  querySection.appendChild(bangLabel);
+  querySection.appendChild(bangRow);
+  querySection.appendChild(bangList);
+  querySection.appendChild(bangHint);
+
+  /**
+   * Lists the bangs matching the filter, keeping the chosen one listed
+   */
+  function renderBangOptions() {
+    const bangs = searchBangs(bangFilter.value);
+    if (selectedBang && !bangs.some(bang => bang.bang === selectedBang)) {
+      // A bang from the query that is not in the list is shown as it is
+      bangs.unshift(
+        getBangs().find(bang => bang.bang === selectedBang) || {
+          bang: selectedBang,
+          name: `!${selectedBang}`,
+        }
+      );
+    }
+
+    bangList.textContent = '';
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = t('bang.none');
+    bangList.appendChild(noneOption);
+    bangs.forEach(bang => {
+      const option = document.createElement('option');
+      option.value = bang.bang;
+      option.textContent = t('bang.option', {
+        bang: bang.bang,
+        name: bang.name,
+      });
+      bangList.appendChild(option);
+    });
+    bangList.value = selectedBang || '';
+
+    const chosen = getBangs().find(bang => bang.bang === selectedBang);
+    deleteBangButton.disabled = !chosen || !chosen.custom;
+  }
+
+  /**
+   * Chooses a bang and refreshes the list and previews
+   * @param {string|null} bang - The bang name, or null for none
+   */
+  function chooseBang(bang) {
+    selectedBang = bang || null;
+    renderBangOptions();
+    updatePreview();
+  }
+
+  /**
+   * Gets the query to send: the edited query with the chosen bang
+   * @returns {string} The outgoing query
+   */
+  function getOutgoingQuery() {
+    return addBang(queryInput.value.trim(), selectedBang);
+  }
+
+  bangFilter.addEventListener('input', renderBangOptions);
+  bangFilter.addEventListener('keydown', e => {
+    // Enter picks the best match
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const [match] = searchBangs(bangFilter.value);
+      if (match) chooseBang(match.bang);
+    }
+  });
+  bangList.addEventListener('change', () => chooseBang(bangList.value));
+
+  addBangButton.addEventListener('click', () => {
+    const typed = window.prompt(t('bang.prompt'), bangFilter.value.trim());
+    if (!typed) return;
+    const bang = normalizeBang(typed);
+    if (!bang) {
+      alert(t('bang.invalid', { bang: typed }));
+      return;
+    }
+    const name = (window.prompt(t('bang.namePrompt', { bang })) || '').trim();
+    if (!saveBang(bang, name)) {
+      alert(t('bang.saveFailed', { bang }));
+      return;
+    }
+    bangFilter.value = '';
+    chooseBang(bang);
+  });
+
+  deleteBangButton.addEventListener('click', () => {
+    deleteBang(selectedBang);
+    chooseBang(null);
+  });
+
+  renderBangOptions();
+
+  const defaultEngines =
+    options.engines || (options.engine ? [options.engine] : []);
+
+  // Warning for query operators the target engine cannot honour
+  const operatorWarning = document.createElement('p');
+  operatorWarning.setAttribute('role', 'status');
+  operatorWarning.className = 'warning';
+  operatorWarning.hidden = true;
+  querySection.appendChild(operatorWarning);
+
+  // Live preview of the URLs that will be opened, one per target engine
+  const previewSection = document.createElement('div');
+  previewSection.className = 'preview';
+
+  const previewList = document.createElement('div');
+  previewList.className = 'preview-list';
+
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.textContent = t('dialog.copyUrls', { count: 1 });
+  copyButton.className = 'small';
+  copyButton.addEventListener('click', () => {
+    const urls = Array.from(previewList.querySelectorAll('code')).map(
+      code => code.textContent
+    );
+    copyText(urls.join('\n')).then(copied => {
+      copyButton.textContent = t(
+        copied ? 'dialog.copied' : 'dialog.copyFailed'
+      );
+      setTimeout(() => {
+        copyButton.textContent = t('dialog.copyUrls', { count: urls.length });
+      }, 1500);
+    });
+  });
+
+  previewSection.appendChild(previewList);
+  previewSection.appendChild(copyButton);
+  querySection.appendChild(previewSection);
+
   // Create parameters section
   const paramsSection = document.createElement('div');
-  paramsSection.style.cssText = 'margin-bottom: 20px;';
+  paramsSection.className = 'section';
 
   const paramsLabel = document.createElement('label');
-  paramsLabel.textContent = 'Select Parameters to Preserve:';
-  paramsLabel.style.cssText = `
-    display: block;
-    font-weight: 500;
-    margin-bottom: 12px;
-    color: #5f6368;
-    font-size: 14px;
-  `;
+  paramsLabel.textContent = t('dialog.params');
+  paramsLabel.className = 'section-label';
 
   paramsSection.appendChild(paramsLabel);
 
-  // Get non-query parameters
-  const nonQueryParams = Object.keys(params).filter(key => key !== 'q');
+  // Create preset controls
+  const presetRow = document.createElement('div');
+  presetRow.className = 'row';
+
+  const presetSelect = document.createElement('select');
+  presetSelect.setAttribute('aria-label', t('preset.label'));
+  presetSelect.className = 'field';
+
+  const savePresetButton = document.createElement('button');
+  savePresetButton.type = 'button';
+  savePresetButton.textContent = t('preset.save');
+  savePresetButton.className = 'small';
+
+  const deletePresetButton = document.createElement('button');
+  deletePresetButton.type = 'button';
+  deletePresetButton.textContent = t('preset.delete');
+  deletePresetButton.className = 'small';
+
+  presetRow.appendChild(presetSelect);
+  presetRow.appendChild(savePresetButton);
+  presetRow.appendChild(deletePresetButton);
+  paramsSection.appendChild(presetRow);
+
+  const defaultPresetOption = createCheckboxOption(
+    'preset-default',
+    t('preset.useDefault'),
+    false,
+    false
+  );
+  const rememberLastOption = createCheckboxOption(
+    'preset-remember-last',
+    t('preset.rememberLast'),
+    isRememberingLast(),
+    false
+  );
+  paramsSection.appendChild(defaultPresetOption);
+  paramsSection.appendChild(rememberLastOption);
+
+  const defaultPresetCheckbox = defaultPresetOption.querySelector(
+    'input[type="checkbox"]'
+  );
+  const rememberLastCheckbox = rememberLastOption.querySelector(
+    'input[type="checkbox"]'
+  );
+
+  // Get selectable parameters (everything except the query)
+  const entries = getParameterEntries(params);
 
   // Create "Query only" quick option
   const queryOnlyOption = createCheckboxOption(
     'query-only',
-    'Search query only (no parameters)',
+    t('dialog.queryOnly'),
     true,
-    false
+    false,
+    'params'
   );
-  queryOnlyOption.style.marginBottom = '12px';
+  queryOnlyOption.classList.add('spaced');
   paramsSection.appendChild(queryOnlyOption);
 
+  const selectAllButton = document.createElement('button');
+  selectAllButton.type = 'button';
+  selectAllButton.textContent = t('dialog.selectAll');
+  selectAllButton.className = 'small';
+  selectAllButton.addEventListener('click', () => {
+    // Only what the checked engines can carry over, greyed out ones stay
+    Object.values(checkboxes).forEach(option => {
+      const checkbox = option.querySelector('input[type="checkbox"]');
+      if (!checkbox.disabled) checkbox.checked = true;
+    });
+    queryOnlyCheckbox.checked = !Object.values(checkboxes).some(
+      option => option.querySelector('input[type="checkbox"]').checked
+    );
+    presetSelect.value = '';
+    updatePresetControls();
+    updatePreview();
+  });
+  paramsSection.appendChild(selectAllButton);
+
   // Create separator
   const separator = document.createElement('div');
-  separator.style.cssText = `
-    height: 1px;
-    background-color: #dadce0;
-    margin: 12px 0;
-  `;
+  separator.className = 'separator';
   paramsSection.appendChild(separator);
 
-  // Create checkboxes for each parameter
+  // Create checkboxes for each filter, the page state and tracking
+  // parameters wait behind "Show all"
   const checkboxes = {};
-  if (nonQueryParams.length === 0) {
+  const filterEntries = entries.filter(entry => entry.category === 'filter');
+  const uiEntries = entries.filter(entry => entry.category === 'ui');
+  const trackingEntries = entries.filter(
+    entry => entry.category === 'tracking'
+  );
+
+  if (filterEntries.length === 0) {
     const noParamsMsg = document.createElement('p');
-    noParamsMsg.textContent = 'No additional parameters found.';
-    noParamsMsg.style.cssText = `
-      color: #5f6368;
-      font-size: 14px;
-      margin: 8px 0;
-      font-style: italic;
-    `;
+    noParamsMsg.textContent = t('dialog.noParams');
+    noParamsMsg.className = 'empty';
     paramsSection.appendChild(noParamsMsg);
-  } else {
-    nonQueryParams.forEach(paramName => {
-      const description = getParameterDescription(paramName, params[paramName]);
-      const checkbox = createCheckboxOption(
-        paramName,
-        description,
-        false,
-        false
-      );
-      checkboxes[paramName] = checkbox;
-      paramsSection.appendChild(checkbox);
-    });
+  }
+  filterEntries.forEach(entry => {
+    const checkbox = createParameterOption(entry);
+    checkboxes[entry.key] = checkbox;
+    paramsSection.appendChild(checkbox);
+  });
+
+  if (uiEntries.length > 0 || trackingEntries.length > 0) {
+    const showAllOption = createCheckboxOption(
+      'show-all-params',
+      t('dialog.showAll', {
+        count: uiEntries.length + trackingEntries.length,
+      }),
+      false,
+      false
+    );
+    const hiddenParams = document.createElement('div');
+    hiddenParams.hidden = true;
+    showAllOption
+      .querySelector('input[type="checkbox"]')
+      .addEventListener('change', function () {
+        hiddenParams.hidden = !this.checked;
+      });
+    paramsSection.appendChild(showAllOption);
+    paramsSection.appendChild(hiddenParams);
+
+    if (uiEntries.length > 0) {
+      hiddenParams.appendChild(createGroupLabel(t('dialog.pageState')));
+      uiEntries.forEach(entry => {
+        const checkbox = createParameterOption(entry);
+        checkboxes[entry.key] = checkbox;
+        hiddenParams.appendChild(checkbox);
+      });
+    }
+
+    // Listed so nothing is hidden from the user, but never selectable
+    if (trackingEntries.length > 0) {
+      hiddenParams.appendChild(createGroupLabel(t('dialog.tracking')));
+      trackingEntries.forEach(entry => {
+        hiddenParams.appendChild(
+          createCheckboxOption(entry.key, entry.description, false, true)
+        );
+      });
+    }
   }
 
   // Handle "Query only" checkbox logic
@@ -165,6 +475,9 @@ export function createModal(params, searchQuery, onSubmit, onCancel) {
         cb.querySelector('input[type="checkbox"]').checked = false;
       });
     }
+    presetSelect.value = '';
+    updatePresetControls();
+    updatePreview();
   });
 
   // Handle parameter checkbox changes
@@ -176,115 +489,780 @@ export function createModal(params, searchQuery, onSubmit, onCancel) {
           // Uncheck "Query only"
           queryOnlyCheckbox.checked = false;
         }
+        presetSelect.value = '';
+        updatePresetControls();
+        updatePreview();
       });
   });
 
-  // Create button container
-  const buttonContainer = document.createElement('div');
-  buttonContainer.style.cssText = `
-    display: flex;
-    gap: 12px;
-    justify-content: flex-end;
-    margin-top: 24px;
-  `;
+  // Create target engines section
+  const enginesSection = document.createElement('div');
+  enginesSection.className = 'section';
 
-  // Create Cancel button
-  const cancelButton = document.createElement('button');
-  cancelButton.textContent = 'Cancel';
-  cancelButton.style.cssText = `
-    padding: 10px 24px;
-    border: 1px solid #dadce0;
-    border-radius: 4px;
-    background: white;
-    color: #5f6368;
-    font-size: 14px;
-    cursor: pointer;
-    font-weight: 500;
-  `;
-  cancelButton.addEventListener('mouseenter', () => {
-    cancelButton.style.backgroundColor = '#f8f9fa';
+  const enginesLabel = document.createElement('label');
+  enginesLabel.textContent = t('dialog.openIn');
+  enginesLabel.className = 'section-label';
+  enginesSection.appendChild(enginesLabel);
+
+  const enginesGrid = document.createElement('div');
+  enginesGrid.className = 'engine-grid';
+  enginesSection.appendChild(enginesGrid);
+
+  const engineCheckboxes = {};
+  getEngines().forEach(target => {
+    const option = createCheckboxOption(
+      `engine-${target.id}`,
+      target.name,
+      defaultEngines.includes(target.id),
+      false,
+      'engines'
+    );
+    option
+      .querySelector('input[type="checkbox"]')
+      .addEventListener('change', () => {
+        presetSelect.value = '';
+        updatePresetControls();
+        updatePreview();
+      });
+    engineCheckboxes[target.id] = option;
+    enginesGrid.appendChild(option);
   });
-  cancelButton.addEventListener('mouseleave', () => {
-    cancelButton.style.backgroundColor = 'white';
+
+  /**
+   * Collects the checked target engines
+   * @returns {string[]} Engine ids in registry order
+   */
+  function getSelectedEngines() {
+    return Object.keys(engineCheckboxes).filter(
+      id => engineCheckboxes[id].querySelector('input[type="checkbox"]').checked
+    );
+  }
+
+  /**
+   * Collects the checked parameters, leaving out greyed out ones
+   * @returns {Object} Parameter names as keys, true/false as values
+   */
+  function getSelectedParams() {
+    const selectedParams = {};
+    Object.keys(checkboxes).forEach(key => {
+      const checkbox = checkboxes[key].querySelector('input[type="checkbox"]');
+      selectedParams[key] =
+        !queryOnlyCheckbox.checked && checkbox.checked && !checkbox.disabled;
+    });
+    return selectedParams;
+  }
+
+  /**
+   * Shows how well the checked engines support each parameter, greying
+   * out those none of them supports
+   * @param {Object[]} engines - The checked target engines
+   */
+  function updateSupport(engines) {
+    const supports = engines.map(target => ({
+      target,
+      support: getParameterSupport(target.id, params),
+    }));
+    Object.keys(checkboxes).forEach(key => {
+      const checkbox = checkboxes[key].querySelector('input[type="checkbox"]');
+      const badge = checkboxes[key].querySelector('.support');
+      const levels = supports.map(({ support }) => support[key]);
+      const level = combineSupportLevels(levels);
+      checkbox.disabled = level === 'none';
+      badge.hidden = levels.length === 0;
+      badge.className = `support ${level}`;
+      badge.textContent = t(`support.${level}`);
+      badge.title = supports
+        .map(({ target, support }) =>
+          t('support.engine', {
+            engine: target.name,
+            level: t(`support.${support[key]}`),
+          })
+        )
+        .join('\n');
+    });
+  }
+
+  /**
+   * Checks the parameters and engines of a preset or remembered choice
+   * @param {{params: string[], engines?: string[]}} selection - What to check
+   */
+  function applySelection(selection) {
+    Object.keys(checkboxes).forEach(key => {
+      checkboxes[key].querySelector('input[type="checkbox"]').checked =
+        selection.params.includes(key);
+    });
+    queryOnlyCheckbox.checked = !Object.keys(checkboxes).some(key =>
+      selection.params.includes(key)
+    );
+    if (selection.engines && selection.engines.length > 0) {
+      Object.keys(engineCheckboxes).forEach(id => {
+        engineCheckboxes[id].querySelector('input[type="checkbox"]').checked =
+          selection.engines.includes(id);
+      });
+    }
+    updatePreview();
+  }
+
+  /**
+   * Fills the preset list, keeping the chosen preset if it still exists
+   * @param {string} [selectedKey] - Key of the preset to choose
+   */
+  function renderPresetOptions(selectedKey = presetSelect.value) {
+    presetSelect.textContent = '';
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.textContent = t('preset.custom');
+    presetSelect.appendChild(customOption);
+    getPresets().forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.key;
+      option.textContent = preset.name;
+      presetSelect.appendChild(option);
+    });
+    presetSelect.value = getPreset(selectedKey) ? selectedKey : '';
+    updatePresetControls();
+  }
+
+  /**
+   * Enables the preset actions that apply to the chosen preset
+   */
+  function updatePresetControls() {
+    const preset = getPreset(presetSelect.value);
+    const defaultPreset = getDefaultPreset();
+    deletePresetButton.disabled = !preset || Boolean(preset.builtIn);
+    defaultPresetCheckbox.disabled = !preset;
+    defaultPresetCheckbox.checked = Boolean(
+      preset && defaultPreset && defaultPreset.key === preset.key
+    );
+  }
+
+  presetSelect.addEventListener('change', () => {
+    const preset = getPreset(presetSelect.value);
+    if (preset) applySelection(preset);
+    updatePresetControls();
   });
-  cancelButton.addEventListener('click', () => {
-    modal.remove();
-    if (onCancel) onCancel();
+
+  savePresetButton.addEventListener('click', () => {
+    const name = (window.prompt(t('preset.namePrompt')) || '').trim();
+    if (!name) return;
+    const selectedParams = getSelectedParams();
+    const engineIds = getSelectedEngines();
+    const saved = savePreset(name, {
+      params: Object.keys(selectedParams).filter(key => selectedParams[key]),
+      // A single engine follows whichever bookmarklet is clicked
+      engines: engineIds.length > 1 ? engineIds : undefined,
+    });
+    if (!saved) {
+      alert(t('preset.saveFailed', { name }));
+      return;
+    }
+    renderPresetOptions(name);
   });
 
-  // Create Redirect button
-  const redirectButton = document.createElement('button');
-  redirectButton.textContent = 'Redirect';
-  redirectButton.style.cssText = `
-    padding: 10px 24px;
-    border: none;
-    border-radius: 4px;
-    background: #1a73e8;
-    color: white;
-    font-size: 14px;
-    cursor: pointer;
-    font-weight: 500;
-  `;
-  redirectButton.addEventListener('mouseenter', () => {
-    redirectButton.style.backgroundColor = '#1765cc';
+  deletePresetButton.addEventListener('click', () => {
+    deletePreset(presetSelect.value);
+    renderPresetOptions('');
   });
-  redirectButton.addEventListener('mouseleave', () => {
-    redirectButton.style.backgroundColor = '#1a73e8';
+
+  defaultPresetCheckbox.addEventListener('change', () => {
+    setDefaultPreset(
+      defaultPresetCheckbox.checked ? presetSelect.value || null : null
+    );
   });
-  redirectButton.addEventListener('click', () => {
-    const selectedParams = {};
 
-    if (queryOnlyCheckbox.checked) {
-      // Only query, no parameters
-      Object.keys(checkboxes).forEach(key => {
-        selectedParams[key] = false;
-      });
-    } else {
-      // Get selected parameters
-      Object.keys(checkboxes).forEach(key => {
-        const checkbox = checkboxes[key].querySelector(
-          'input[type="checkbox"]'
+  rememberLastCheckbox.addEventListener('change', () => {
+    setRememberLast(rememberLastCheckbox.checked);
+  });
+
+  /**
+   * Refreshes the operator and search type warnings and the target URL
+   * previews
+   */
+  function updatePreview() {
+    const query = getOutgoingQuery();
+    const engines = getSelectedEngines().map(getEngine);
+    updateSupport(engines);
+    const selectedParams = getSelectedParams();
+
+    const warnings = engines
+      .map(target => ({
+        target,
+        unsupported: rewriteQueryForParams(
+          target.id,
+          query,
+          selectedParams,
+          params
+        ).unsupported,
+      }))
+      .filter(({ unsupported }) => unsupported.length > 0)
+      .map(({ target, unsupported }) =>
+        t('dialog.unsupportedOperators', {
+          engine: target.name,
+          operators: formatList(unsupported),
+        })
+      );
+    engines
+      .filter(target =>
+        translateParams(target.id, selectedParams, params).unsupported.includes(
+          'tbm'
+        )
+      )
+      .forEach(target => {
+        warnings.push(
+          t('dialog.unsupportedVertical', {
+            engine: target.name,
+            vertical: getSearchTypeName(params.tbm),
+          })
         );
-        selectedParams[key] = checkbox.checked;
       });
-    }
+    operatorWarning.textContent = warnings.join('\n');
+    operatorWarning.hidden = warnings.length === 0;
+
+    previewList.textContent = '';
+    engines.forEach(target => {
+      const previewUrl = document.createElement('code');
+      previewUrl.title = target.name;
+      previewUrl.textContent = buildSearchUrl(
+        target.id,
+        query,
+        selectedParams,
+        params
+      );
+      previewList.appendChild(previewUrl);
+    });
+    previewSection.hidden = engines.length === 0;
+    copyButton.textContent = t('dialog.copyUrls', { count: engines.length });
+    redirectButton.textContent =
+      engines.length > 1
+        ? t('dialog.openTabs', { count: engines.length })
+        : t('dialog.redirect');
+  }
+
+  queryInput.addEventListener('input', updatePreview);
 
-    modal.remove();
-    if (onSubmit) onSubmit(selectedParams);
+  // The typed query goes with autocorrect off where the engine has a way
+  // to say so, the corrected one without
+  correctionOptions.forEach(option => {
+    const radio = option.querySelector('input[type="radio"]');
+    radio.addEventListener('change', () => {
+      const useOriginal = radio.id === 'query-original';
+      queryInput.value = useOriginal
+        ? options.correction.original
+        : options.correction.corrected;
+      const nfprCheckbox =
+        checkboxes.nfpr &&
+        checkboxes.nfpr.querySelector('input[type="checkbox"]');
+      if (nfprCheckbox) {
+        nfprCheckbox.checked = useOriginal;
+        if (useOriginal) queryOnlyCheckbox.checked = false;
+      }
+      presetSelect.value = '';
+      updatePresetControls();
+      updatePreview();
+    });
   });
 
+  // Create button container
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = 'actions';
+
+  // Create Cancel button
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = t('dialog.cancel');
+  cancelButton.className = 'secondary';
+  cancelButton.addEventListener('click', () => cancel());
+
+  // Create Redirect button
+  const redirectButton = document.createElement('button');
+  redirectButton.textContent = t('dialog.redirect');
+  redirectButton.className = 'primary';
+  redirectButton.addEventListener('click', () => submit());
+
+  /**
+   * Closes the dialog and hands the choices to onSubmit
+   */
+  function submit() {
+    if (!queryInput.value.trim()) {
+      queryInput.focus();
+      return;
+    }
+
+    const engineIds = getSelectedEngines();
+    if (engineIds.length === 0) {
+      engineCheckboxes[Object.keys(engineCheckboxes)[0]]
+        .querySelector('input[type="checkbox"]')
+        .focus();
+      return;
+    }
+
+    const selectedParams = getSelectedParams();
+    closeModal();
+    if (onSubmit) onSubmit(selectedParams, getOutgoingQuery(), engineIds);
+  }
+
   buttonContainer.appendChild(cancelButton);
   buttonContainer.appendChild(redirectButton);
 
+  // Start with the remembered choice or the default preset, if any, and
+  // otherwise with the selection the bookmarklet was configured with
+  const defaultPreset = getDefaultPreset();
+  const initialSelection =
+    getLastSelection() || defaultPreset || options.selection;
+  renderPresetOptions(
+    !getLastSelection() && defaultPreset ? defaultPreset.key : ''
+  );
+  if (initialSelection) {
+    applySelection(initialSelection);
+  } else {
+    // Fill in the previews now that every control exists
+    updatePreview();
+  }
+
   // Assemble modal
   modalContent.appendChild(header);
   modalContent.appendChild(querySection);
   modalContent.appendChild(paramsSection);
+  modalContent.appendChild(enginesSection);
   modalContent.appendChild(buttonContainer);
   modal.appendChild(modalContent);
+  root.appendChild(modal);
+
+  // Dialog semantics, focus trap and Escape/overlay click to cancel
+  const closeModal = setUpDialog(
+    host,
+    modal,
+    modalContent,
+    header,
+    cancel,
+    (e, target) => {
+      // Enter redirects from the query field and the checkboxes
+      if (
+        e.key === 'Enter' &&
+        target.tagName === 'INPUT' &&
+        (target.type === 'text' || target.type === 'checkbox')
+      ) {
+        e.preventDefault();
+        submit();
+        return;
+      }
 
-  // Close on overlay click
-  modal.addEventListener('click', e => {
-    if (e.target === modal) {
-      modal.remove();
-      if (onCancel) onCancel();
+      // Arrow keys move between the checkboxes of the same list
+      const group = target.dataset && target.dataset.navGroup;
+      const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[
+        e.key
+      ];
+      if (group && step) {
+        e.preventDefault();
+        const items = Array.from(
+          modalContent.querySelectorAll(`input[data-nav-group="${group}"]`)
+        ).filter(item => !item.disabled && !item.closest('[hidden]'));
+        const index = items.indexOf(target);
+        items[(index + step + items.length) % items.length].focus();
+      }
     }
+  );
+
+  /**
+   * Closes the dialog without redirecting
+   */
+  function cancel() {
+    closeModal();
+    if (onCancel) onCancel();
+  }
+
+  // Append to body
+  document.body.appendChild(host);
+  queryInput.focus();
+  queryInput.select();
+
+  return host;
+}
+
+/**
+ * Displays clickable links for tabs the browser's popup blocker stopped
+ * @param {{label: string, url: string}[]} links - Links to offer
+ * @returns {HTMLElement} The panel's host element
+ */
+export function createLinksPanel(links) {
+  // Create the isolated host, replacing an existing panel if present
+  const { host, root } = createDialogHost('search-redirect-links');
+
+  const panel = document.createElement('div');
+  panel.className = 'overlay';
+
+  const panelContent = document.createElement('div');
+  panelContent.className = 'dialog narrow';
+
+  const header = document.createElement('h2');
+  header.id = 'search-redirect-links-title';
+  header.textContent = t('links.title');
+
+  const message = document.createElement('p');
+  message.textContent = t('links.message', { count: links.length });
+  message.className = 'summary';
+
+  const list = document.createElement('ul');
+  list.className = 'links';
+  links.forEach(link => {
+    const item = document.createElement('li');
+    const anchor = document.createElement('a');
+    anchor.href = link.url;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.textContent = link.label;
+    anchor.title = link.url;
+    item.appendChild(anchor);
+    list.appendChild(item);
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = t('links.close');
+  closeButton.className = 'secondary';
+
+  panelContent.appendChild(header);
+  panelContent.appendChild(message);
+  panelContent.appendChild(list);
+  panelContent.appendChild(closeButton);
+  panel.appendChild(panelContent);
+  root.appendChild(panel);
+
+  const closePanel = setUpDialog(host, panel, panelContent, header, () =>
+    closePanel()
+  );
+  closeButton.addEventListener('click', () => closePanel());
+
+  document.body.appendChild(host);
+  const firstLink = list.querySelector('a');
+  (firstLink || closeButton).focus();
+
+  return host;
+}
+
+/**
+ * Displays a dialog to download or copy exported search results
+ * @param {Object} data - The export: query, params, url, exportedAt, results
+ * @returns {HTMLElement} The dialog's host element
+ */
+export function createExportModal(data) {
+  // Create the isolated host, replacing an existing dialog if present
+  const { host, root } = createDialogHost('search-export-modal');
+
+  const modal = document.createElement('div');
+  modal.className = 'overlay';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'dialog narrow';
+
+  const header = document.createElement('h2');
+  header.id = 'search-export-title';
+  header.textContent = t('export.title');
+
+  const summary = document.createElement('p');
+  summary.textContent = t('export.summary', {
+    count: data.results.length,
+    query: data.query,
+  });
+  summary.className = 'summary';
+
+  const formatRows = document.createElement('div');
+  formatRows.className = 'format-list';
+  Object.keys(EXPORT_FORMATS).forEach(format => {
+    const row = document.createElement('div');
+    row.className = 'format-row';
+
+    const label = document.createElement('span');
+    label.textContent = EXPORT_FORMATS[format].label;
+    label.className = 'format-label';
+
+    const downloadButton = document.createElement('button');
+    downloadButton.type = 'button';
+    downloadButton.textContent = t('export.download');
+    downloadButton.className = 'small';
+    downloadButton.addEventListener('click', () => {
+      downloadText(
+        getExportFileName(data.query, format),
+        formatResults(data, format),
+        EXPORT_FORMATS[format].mimeType
+      );
+    });
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = t('export.copy');
+    copyButton.className = 'small';
+    copyButton.addEventListener('click', () => {
+      copyText(formatResults(data, format)).then(copied => {
+        copyButton.textContent = t(
+          copied ? 'dialog.copied' : 'dialog.copyFailed'
+        );
+        setTimeout(() => {
+          copyButton.textContent = t('export.copy');
+        }, 1500);
+      });
+    });
+
+    row.appendChild(label);
+    row.appendChild(downloadButton);
+    row.appendChild(copyButton);
+    formatRows.appendChild(row);
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = t('export.close');
+  closeButton.className = 'secondary';
+
+  modalContent.appendChild(header);
+  modalContent.appendChild(summary);
+  modalContent.appendChild(formatRows);
+  modalContent.appendChild(closeButton);
+  modal.appendChild(modalContent);
+  root.appendChild(modal);
+
+  const closeModal = setUpDialog(host, modal, modalContent, header, () =>
+    closeModal()
+  );
+  closeButton.addEventListener('click', () => closeModal());
+
+  document.body.appendChild(host);
+  formatRows.querySelector('button').focus();
+
+  return host;
+}
+
+/**
+ * Displays a short notice at the top of the page
+ * @param {string} message - The notice text
+ * @param {string} [actionLabel] - Label of a button to add to the notice;
+ *   its clicks reach the host element
+ * @returns {HTMLElement} The notice's host element, to remove when done
+ */
+export function createToast(message, actionLabel) {
+  const { host, root } = createDialogHost('search-redirect-toast');
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = message;
+  toast.setAttribute('role', 'status');
+  if (actionLabel) {
+    const action = document.createElement('button');
+    action.type = 'button';
+    action.textContent = actionLabel;
+    toast.appendChild(action);
+  }
+  root.appendChild(toast);
+
+  document.body.appendChild(host);
+  return host;
+}
+
+/**
+ * Displays a bar of target engine buttons in a corner of the results page,
+ * for the userscript and the browser extension
+ * @param {{id: string, name: string}[]} engines - Engines to offer
+ * @param {Function} onSelect - Called with the id of the engine clicked
+ * @returns {HTMLElement} The bar's host element
+ */
+export function createEngineBar(engines, onSelect) {
+  const { host, root } = createDialogHost('search-redirect-bar');
+
+  const bar = document.createElement('nav');
+  bar.className = 'engine-bar';
+  bar.setAttribute('aria-label', t('bar.label'));
+
+  const label = document.createElement('span');
+  label.textContent = t('bar.openIn');
+  bar.appendChild(label);
+
+  engines.forEach(engine => {
+    const button = document.createElement('button');
+    button.className = 'small';
+    button.textContent = engine.name;
+    button.addEventListener('click', () => onSelect(engine.id));
+    bar.appendChild(button);
   });
 
-  // Close on Escape key
-  const escapeHandler = e => {
+  // Hidden until the next results page
+  const closeButton = document.createElement('button');
+  closeButton.className = 'close';
+  closeButton.textContent = '×';
+  closeButton.title = t('bar.hide');
+  closeButton.setAttribute('aria-label', t('bar.hide'));
+  closeButton.addEventListener('click', () => host.remove());
+  bar.appendChild(closeButton);
+
+  root.appendChild(bar);
+  document.body.appendChild(host);
+  return host;
+}
+
+/**
+ * Creates the page element that hosts a dialog in its own shadow root
+ *
+ * The shadow root carries the dialog stylesheet, so the search page's CSS
+ * does not reach the dialog. The host is marked with the display language,
+ * and with the chosen theme or the page's when it can be detected;
+ * otherwise the dialog follows prefers-color-scheme.
+ * @param {string} id - Id of the host element; an existing element with
+ *   this id is removed first
+ * @returns {{host: HTMLElement, root: ShadowRoot}} The host, not yet
+ *   attached to the page, and its shadow root
+ */
+function createDialogHost(id) {
+  const existingHost = document.getElementById(id);
+  if (existingHost) {
+    existingHost.remove();
+  }
+
+  const host = document.createElement('div');
+  host.id = id;
+  host.lang = getLocale();
+  const theme = getDialogTheme();
+  if (theme) host.dataset.theme = theme;
+
+  const root = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = DIALOG_STYLES;
+  root.appendChild(style);
+
+  return { host, root };
+}
+
+/**
+ * Makes an overlay behave as a modal dialog
+ *
+ * Adds dialog semantics labelled by the heading, keeps Tab and Shift+Tab
+ * inside the dialog, and dismisses it with Escape or a click on the overlay.
+ * Keys pressed in the dialog do not reach the page's own shortcuts.
+ * @param {HTMLElement} host - The element whose shadow root holds the overlay
+ * @param {HTMLElement} overlay - The full-page overlay
+ * @param {HTMLElement} dialog - The dialog box inside the overlay
+ * @param {HTMLElement} heading - The dialog heading, which needs an id
+ * @param {Function} onDismiss - Called on Escape or a click on the overlay
+ * @param {Function} [onKeyDown] - Called with other keydown events in the
+ *   dialog, and the element inside the shadow root that received them
+ * @returns {Function} Closes the dialog, removes its listeners and gives
+ *   focus back to the element that had it before
+ */
+function setUpDialog(host, overlay, dialog, heading, onDismiss, onKeyDown) {
+  const previousFocus = document.activeElement;
+
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', heading.id);
+
+  const keydownHandler = e => {
+    // The dialog was replaced by a later bookmarklet click, clean up
+    if (!host.isConnected) {
+      document.removeEventListener('keydown', keydownHandler, true);
+      return;
+    }
+
     if (e.key === 'Escape') {
-      modal.remove();
-      if (onCancel) onCancel();
-      document.removeEventListener('keydown', escapeHandler);
+      e.preventDefault();
+      e.stopPropagation();
+      onDismiss();
+      return;
     }
+
+    if (e.key === 'Tab') {
+      const focusable = Array.from(
+        dialog.querySelectorAll(
+          'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )
+      ).filter(element => !element.disabled && element.offsetParent !== null);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      // The page only sees the host, the focused control is in the shadow root
+      const active = host.shadowRoot.activeElement;
+      if (e.shiftKey && (active === first || !dialog.contains(active))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (active === last || !dialog.contains(active))) {
+        e.preventDefault();
+        first.focus();
+      }
+      return;
+    }
+
+    const target = e.composedPath()[0];
+    if (onKeyDown && dialog.contains(target)) onKeyDown(e, target);
   };
-  document.addEventListener('keydown', escapeHandler);
 
-  // Append to body
-  document.body.appendChild(modal);
+  const overlayClickHandler = e => {
+    if (e.target === overlay) onDismiss();
+  };
+
+  // Keep keys typed in the dialog away from the page's shortcuts
+  const stopPropagation = e => e.stopPropagation();
+
+  document.addEventListener('keydown', keydownHandler, true);
+  overlay.addEventListener('click', overlayClickHandler);
+  overlay.addEventListener('keydown', stopPropagation);
+  overlay.addEventListener('keypress', stopPropagation);
+  overlay.addEventListener('keyup', stopPropagation);
+
+  const close = () => {
+    document.removeEventListener('keydown', keydownHandler, true);
+    overlay.removeEventListener('click', overlayClickHandler);
+    overlay.removeEventListener('keydown', stopPropagation);
+    overlay.removeEventListener('keypress', stopPropagation);
+    overlay.removeEventListener('keyup', stopPropagation);
+    host.remove();
+    if (previousFocus && typeof previousFocus.focus === 'function') {
+      previousFocus.focus();
+    }
+  };
+  return close;
+}
 
-  return modal;
+/**
+ * Creates the checkbox of a parameter entry, with a badge for how well the
+ * target engines support it
+ * @param {{key: string, description: string}} entry - An entry from
+ *   getParameterEntries()
+ * @returns {HTMLElement} The checkbox container element
+ */
+function createParameterOption(entry) {
+  const option = createCheckboxOption(
+    entry.key,
+    entry.description,
+    false,
+    false,
+    'params'
+  );
+  const badge = document.createElement('span');
+  badge.className = 'support';
+  badge.hidden = true;
+  option.appendChild(badge);
+  return option;
+}
+
+/**
+ * Sums up the support levels of several engines: full or none when they
+ * all agree, approximate otherwise
+ * @param {string[]} levels - 'full', 'approximate' or 'none' per engine
+ * @returns {string} The combined level
+ */
+function combineSupportLevels(levels) {
+  if (levels.length > 0 && levels.every(level => level === 'full')) {
+    return 'full';
+  }
+  if (levels.every(level => level === 'none')) return 'none';
+  return 'approximate';
+}
+
+/**
+ * Creates the heading of a group of checkboxes within a section
+ * @param {string} text - Heading text
+ * @returns {HTMLElement} The heading element
+ */
+function createGroupLabel(text) {
+  const label = document.createElement('p');
+  label.className = 'group-label';
+  label.textContent = text;
+  return label;
 }
 
 /**
@@ -293,45 +1271,32 @@ export function createModal(params, searchQuery, onSubmit, onCancel) {
  * @param {string} label - Label text
  * @param {boolean} checked - Whether checkbox is checked
  * @param {boolean} disabled - Whether checkbox is disabled
+ * @param {string} [navGroup] - List the checkbox belongs to, for moving
+ *   between checkboxes with the arrow keys
  * @returns {HTMLElement} The checkbox container element
  */
-function createCheckboxOption(id, label, checked, disabled) {
+function createCheckboxOption(id, label, checked, disabled, navGroup) {
   const container = document.createElement('div');
-  container.style.cssText = `
-    display: flex;
-    align-items: center;
-    padding: 8px 0;
-    cursor: pointer;
-  `;
+  container.className = 'option';
 
   const checkbox = document.createElement('input');
   checkbox.type = 'checkbox';
   checkbox.id = id;
   checkbox.checked = checked;
   checkbox.disabled = disabled;
-  checkbox.style.cssText = `
-    margin-right: 12px;
-    width: 18px;
-    height: 18px;
-    cursor: pointer;
-  `;
+  if (navGroup) checkbox.dataset.navGroup = navGroup;
 
   const labelEl = document.createElement('label');
   labelEl.htmlFor = id;
   labelEl.textContent = label;
-  labelEl.style.cssText = `
-    font-size: 14px;
-    color: #202124;
-    cursor: pointer;
-    flex: 1;
-  `;
 
   container.appendChild(checkbox);
   container.appendChild(labelEl);
 
-  // Make entire container clickable
+  // Make entire container clickable (the label already toggles the
+  // checkbox through its htmlFor)
   container.addEventListener('click', e => {
-    if (e.target !== checkbox && !disabled) {
+    if (e.target !== checkbox && e.target !== labelEl && !checkbox.disabled) {
       checkbox.checked = !checkbox.checked;
       checkbox.dispatchEvent(new Event('change'));
     }
@@ -339,3 +1304,75 @@ function createCheckboxOption(id, label, checked, disabled) {
 
   return container;
 }
+
+/**
+ * Creates a radio button option element
+ * @param {string} id - Unique identifier
+ * @param {string} name - Name of the radio group
+ * @param {string} label - Label text
+ * @param {boolean} checked - Whether the radio button is selected
+ * @returns {HTMLElement} The radio button container element
+ */
+function createRadioOption(id, name, label, checked) {
+  const container = document.createElement('div');
+  container.className = 'option';
+
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.id = id;
+  radio.name = name;
+  radio.checked = checked;
+
+  const labelEl = document.createElement('label');
+  labelEl.htmlFor = id;
+  labelEl.textContent = label;
+
+  container.appendChild(radio);
+  container.appendChild(labelEl);
+
+  container.addEventListener('click', e => {
+    if (e.target !== radio && e.target !== labelEl && !radio.checked) {
+      radio.checked = true;
+      radio.dispatchEvent(new Event('change'));
+    }
+  });
+
+  return container;
+}
+
+/**
+ * Copies text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+function copyText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).then(
+      () => true,
+      () => copyTextWithSelection(text)
+    );
+  }
+  return Promise.resolve(copyTextWithSelection(text));
+}
+
+/**
+ * Copies text through a temporary text area, for pages without the
+ * asynchronous clipboard API (e.g., plain http)
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether the text was copied
+ */
+function copyTextWithSelection(text) {
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+  document.body.appendChild(textArea);
+  textArea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch {
+    copied = false;
+  }
+  textArea.remove();
+  return copied;
+}
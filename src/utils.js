@@ -1,25 +1,112 @@
 /**
- * Utility functions for extracting and processing Google search parameters
+ * Utility functions for extracting and processing search parameters
+ *
+ * Parameters are described with Google's names, whichever engine the
+ * current page belongs to.
  */
 
+import { findSourceEngine, getEngine } from './engines/index.js';
+import { isApproximate } from './engines/shared.js';
+import {
+  formatDateRange,
+  getCountryName,
+  getLanguageName,
+  t,
+} from './i18n/index.js';
+import {
+  normalizeCountryCode,
+  normalizeLanguageCode,
+  parseCountryList,
+  parseLanguageList,
+} from './locales.js';
+import { getPageNumber } from './paging.js';
+import { rewriteQuery } from './query.js';
+import { parseTbs } from './tbs.js';
+
+// Parameters that change which results are shown
+const FILTER_PARAMS = [
+  'lr',
+  'cr',
+  'num',
+  'safe',
+  'tbm',
+  'tbs',
+  'hl',
+  'gl',
+  'start',
+  'nfpr',
+  'filter',
+];
+
+// Telemetry, click tracking and browser builds, never forwarded to another engine
+const TRACKING_PARAMS = [
+  'ei',
+  'ved',
+  'sxsrf',
+  'oq',
+  'aqs',
+  'gs_l',
+  'gs_lp',
+  'gs_lcp',
+  'gs_lcrp',
+  'gs_ssp',
+  'gs_ivs',
+  'sclient',
+  'client',
+  'sourceid',
+  'uact',
+  'sei',
+  'iflsig',
+  'sca_esv',
+  'sca_upv',
+  'rlz',
+  'pq',
+  'psi',
+  'fbs',
+  'ictx',
+  'usg',
+  'cshid',
+  'csuir',
+  'mstk',
+];
+
 /**
  * Checks if the current page is a Google search results page
  * @returns {boolean} True if on Google search page
  */
 export function isGoogleSearchPage() {
-  const hostname = window.location.hostname;
-  const pathname = window.location.pathname;
-  return (
-    (hostname === 'www.google.com' || hostname === 'google.com') &&
-    pathname === '/search'
-  );
+  const source = getSourceEngine();
+  return source !== null && source.id === 'google';
+}
+
+/**
+ * Checks if the current page is a results page of any supported engine
+ * @returns {boolean} True if the page can be used as a redirect source
+ */
+export function isSearchPage() {
+  return getSourceEngine() !== null;
+}
+
+/**
+ * Finds the search engine the current page belongs to
+ * @returns {Object|null} The source engine adapter, or null if unsupported
+ */
+export function getSourceEngine() {
+  return findSourceEngine(window.location.href);
 }
 
 /**
  * Extracts all parameters from the current page's URL
+ *
+ * On non-Google result pages the engine's parameters are normalized to
+ * their Google equivalents, so the rest of the code only deals with one
+ * vocabulary.
  * @returns {Object} Object with parameter names as keys and values as values
  */
 export function extractUrlParams() {
+  const parsed = parseSearchUrl(window.location.href);
+  if (parsed) return parsed.params;
+
   const urlParams = new URLSearchParams(window.location.search);
   const params = {};
 
@@ -31,7 +118,7 @@ export function extractUrlParams() {
 }
 
 /**
- * Extracts the search query from Google URL parameters
+ * Extracts the search query from the current page's URL parameters
  * @returns {string|null} The search query or null if not found
  */
 export function extractSearchQuery() {
@@ -40,27 +127,58 @@ export function extractSearchQuery() {
 }
 
 /**
- * Gets a human-readable description of a Google search parameter
+ * Gets a human-readable description of a Google search parameter, in the
+ * display language chosen by the i18n module
  * @param {string} paramName - The parameter name (e.g., 'tbs', 'lr')
  * @param {string} paramValue - The parameter value
+ * @param {Object} [allParams] - All parameters, for descriptions that
+ *   depend on another one (the page size for start)
  * @returns {string} Human-readable description
  */
-export function getParameterDescription(paramName, paramValue) {
+export function getParameterDescription(paramName, paramValue, allParams = {}) {
   const descriptions = {
-    q: 'Search Query',
-    tbs: parseTimeBasedSearch(paramValue),
-    lr: 'Language Restriction',
-    cr: 'Country Restriction',
-    num: `Number of Results: ${paramValue}`,
-    safe: parseSafeSearch(paramValue),
-    tbm: parseSearchType(paramValue),
-    tbs_qdr: parseTimeRange(paramValue),
-    source: 'Source',
-    hl: `Language: ${paramValue}`,
-    gl: `Country: ${paramValue}`,
+    q: () => t('param.q'),
+    tbs: () => parseTimeBasedSearch(paramValue),
+    lr: () =>
+      describeList('param.lr', parseLanguageList(paramValue), getLanguageName),
+    cr: () =>
+      describeList('param.cr', parseCountryList(paramValue), getCountryName),
+    num: () => t('param.num', { value: paramValue }),
+    start: () =>
+      t('param.start', { page: getPageNumber(paramValue, allParams) }),
+    safe: () => parseSafeSearch(paramValue),
+    tbm: () => parseSearchType(paramValue),
+    tbs_qdr: () => parseTimeRange(paramValue),
+    source: () => t('param.source'),
+    nfpr: () => t(paramValue === '1' ? 'param.nfpr' : 'param.nfprOn'),
+    hl: () =>
+      t('param.hl', {
+        value: getLanguageName(normalizeLanguageCode(paramValue) || paramValue),
+      }),
+    gl: () =>
+      t('param.gl', {
+        value: getCountryName(normalizeCountryCode(paramValue) || paramValue),
+      }),
   };
 
-  return descriptions[paramName] || `${paramName}: ${paramValue}`;
+  return descriptions[paramName]
+    ? descriptions[paramName]()
+    : t('param.other', { name: paramName, value: paramValue });
+}
+
+/**
+ * Describes a list of languages or countries (e.g., 'Languages: German,
+ * French')
+ * @param {string} messageId - Message taking the {count} and the {value}
+ * @param {string[]} codes - Language tags or country codes
+ * @param {Function} getName - Gives the display name of one code
+ * @returns {string} Human-readable description
+ */
+function describeList(messageId, codes, getName) {
+  return t(messageId, {
+    count: codes.length,
+    value: codes.map(getName).join(t('list.separator')),
+  });
 }
 
 /**
@@ -69,16 +187,49 @@ export function getParameterDescription(paramName, paramValue) {
  * @returns {string} Human-readable description
  */
 function parseTimeBasedSearch(tbsValue) {
-  if (!tbsValue) return 'Time Filter';
-
-  // Common time filters
-  if (tbsValue.includes('qdr:d')) return 'Time Filter: Past Day';
-  if (tbsValue.includes('qdr:w')) return 'Time Filter: Past Week';
-  if (tbsValue.includes('qdr:m')) return 'Time Filter: Past Month';
-  if (tbsValue.includes('qdr:y')) return 'Time Filter: Past Year';
-  if (tbsValue.includes('cdr:1')) return 'Time Filter: Custom Date Range';
+  const components = parseTbs(tbsValue);
+  if (components.length === 0) return t('tbs.any');
+  return components.map(describeTbsComponent).join(', ');
+}
 
-  return 'Time Filter';
+/**
+ * Gets a human-readable description of one tbs component
+ * @param {Object} component - A component from parseTbs()
+ * @returns {string} Human-readable description
+ */
+function describeTbsComponent(component) {
+  switch (component.type) {
+    case 'qdr':
+      return t(`tbs.qdr.${component.unit}`, { count: component.count });
+    case 'cdr':
+      return t('tbs.cdr', {
+        range: formatDateRange(component.min, component.max),
+      });
+    case 'li':
+      return t('tbs.li');
+    case 'sbd':
+      return t('tbs.sbd');
+    case 'isz':
+      return t('tbs.isz', {
+        value: translateValue('imageSize', component.value),
+      });
+    case 'ic':
+      return t('tbs.ic', {
+        value: component.color
+          ? translateValue('color', component.color)
+          : translateValue('imageColor', component.value),
+      });
+    case 'itp':
+      return t('tbs.itp', {
+        value: translateValue('imageType', component.value),
+      });
+    case 'il':
+      return t('tbs.il', {
+        value: translateValue('usageRights', component.value),
+      });
+    default:
+      return t('tbs.other', { value: component.raw });
+  }
 }
 
 /**
@@ -87,12 +238,7 @@ function parseTimeBasedSearch(tbsValue) {
  * @returns {string} Human-readable description
  */
 function parseSafeSearch(safeValue) {
-  const safeOptions = {
-    active: 'Safe Search: Active',
-    off: 'Safe Search: Off',
-    images: 'Safe Search: Images',
-  };
-  return safeOptions[safeValue] || `Safe Search: ${safeValue}`;
+  return t('param.safe', { value: translateValue('safe', safeValue) });
 }
 
 /**
@@ -101,15 +247,16 @@ function parseSafeSearch(safeValue) {
  * @returns {string} Human-readable description
  */
 function parseSearchType(tbmValue) {
-  const searchTypes = {
-    isch: 'Search Type: Images',
-    vid: 'Search Type: Videos',
-    nws: 'Search Type: News',
-    shop: 'Search Type: Shopping',
-    bks: 'Search Type: Books',
-    fin: 'Search Type: Finance',
-  };
-  return searchTypes[tbmValue] || `Search Type: ${tbmValue}`;
+  return t('param.tbm', { value: getSearchTypeName(tbmValue) });
+}
+
+/**
+ * Gets the display name of a search vertical (e.g., 'isch' → 'Images')
+ * @param {string} tbmValue - The tbm parameter value
+ * @returns {string} The vertical's name, or the value itself if unknown
+ */
+export function getSearchTypeName(tbmValue) {
+  return translateValue('tbm', tbmValue);
 }
 
 /**
@@ -118,48 +265,371 @@ function parseSearchType(tbmValue) {
  * @returns {string} Human-readable description
  */
 function parseTimeRange(timeRange) {
-  const ranges = {
-    d: 'Past Day',
-    w: 'Past Week',
-    m: 'Past Month',
-    y: 'Past Year',
-  };
-  return `Time Range: ${ranges[timeRange] || timeRange}`;
+  return t('param.tbs_qdr', { value: translateValue('timeRange', timeRange) });
+}
+
+/**
+ * Looks up the display name of a known parameter value
+ * @param {string} group - Message id prefix (e.g., 'safe')
+ * @param {string} value - The parameter value
+ * @returns {string} The display name, or the value itself if unknown
+ */
+function translateValue(group, value) {
+  const id = `${group}.${value}`;
+  const name = t(id);
+  return name === id ? value : name;
+}
+
+/**
+ * Tells what a Google parameter is for
+ * @param {string} paramName - The parameter name (e.g., 'tbs', 'ved')
+ * @returns {string} 'filter' for parameters that change the results,
+ *   'tracking' for telemetry and browser builds, or 'ui' for the rest of
+ *   the page state (window size, encoding, ...)
+ */
+export function getParameterCategory(paramName) {
+  if (FILTER_PARAMS.includes(paramName)) return 'filter';
+  if (TRACKING_PARAMS.includes(paramName)) return 'tracking';
+  return 'ui';
+}
+
+/**
+ * Lists the parameters that can be selected individually
+ *
+ * Most parameters are one entry each. Google's tbs parameter is split into
+ * one entry per search tool, keyed 'tbs:<type>' (e.g., 'tbs:qdr', 'tbs:li'),
+ * with the parsed component as its value.
+ * @param {Object} params - All URL parameters
+ * @returns {{key: string, value: *, description: string, category: string}[]}
+ *   Selectable entries, with their category (see getParameterCategory)
+ */
+export function getParameterEntries(params) {
+  const entries = [];
+
+  Object.keys(params).forEach(paramName => {
+    if (paramName === 'q') return;
+
+    if (paramName === 'tbs') {
+      parseTbs(params.tbs).forEach(component => {
+        entries.push({
+          key: `tbs:${component.type}`,
+          value: component,
+          description: describeTbsComponent(component),
+          category: 'filter',
+        });
+      });
+      return;
+    }
+
+    entries.push({
+      key: paramName,
+      value: params[paramName],
+      description: getParameterDescription(
+        paramName,
+        params[paramName],
+        params
+      ),
+      category: getParameterCategory(paramName),
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Translates the selected Google parameters for a target search engine
+ *
+ * tbs components mapped to the same engine parameter are joined with the
+ * engine's separator for it (a comma, as Google does, unless the adapter
+ * says otherwise). Other parameters keep the first value set: an entry
+ * whose values all give way to earlier ones counts as unsupported, and one
+ * losing some of them as approximate. A search vertical
+ * (tbm) is supported if the engine has a results page for it. Tracking
+ * parameters are never forwarded, even when selected.
+ * @param {string} searchEngine - The target engine id ('duckduckgo', 'bing', etc.)
+ * @param {Object} selectedParams - Object with entry keys (see getParameterEntries) as keys, true/false as values;
+ *   selecting 'tbs' selects every tbs component
+ * @param {Object} allParams - All available parameters from Google
+ * @returns {{params: Object, unsupported: string[], approximate: string[]}}
+ *   Target engine parameters, the keys of selected entries that have no
+ *   equivalent, and the keys of those only approximated (e.g., "past 3
+ *   days" rounded up to "past week")
+ */
+export function translateParams(searchEngine, selectedParams, allParams) {
+  const engine = getEngine(searchEngine);
+  if (!engine) {
+    throw new Error(`Unsupported search engine: ${searchEngine}`);
+  }
+
+  const params = {};
+  const unsupported = [];
+  const approximate = [];
+  const selected = selectedParams || {};
+  // Mappers of settings the engine combines (e.g., a region for both the
+  // country and the language) look at what else is kept
+  const selectedValues = Object.fromEntries(
+    Object.keys(allParams)
+      .filter(
+        name => selected[name] && getParameterCategory(name) !== 'tracking'
+      )
+      .map(name => [name, allParams[name]])
+  );
+
+  getParameterEntries(allParams).forEach(entry => {
+    if (entry.category === 'tracking') return;
+    const isTbsComponent = entry.key.startsWith('tbs:');
+    if (!selected[entry.key] && !(isTbsComponent && selected.tbs)) return;
+
+    const mapper = getMapper(engine, entry);
+    const mapped = mapper
+      ? mapper(entry.value, allParams, selectedValues)
+      : null;
+    if (!mapped) {
+      unsupported.push(entry.key);
+      return;
+    }
+
+    const values = Object.entries(mapped);
+    const overridden = isTbsComponent
+      ? []
+      : values.filter(([key, value]) => params[key] && params[key] !== value);
+    if (values.length > 0 && overridden.length === values.length) {
+      unsupported.push(entry.key);
+      return;
+    }
+    if (isApproximate(mapped) || overridden.length > 0) {
+      approximate.push(entry.key);
+    }
+
+    values.forEach(([key, value]) => {
+      if (!params[key]) {
+        params[key] = value;
+      } else if (isTbsComponent && params[key] !== value) {
+        const separator =
+          key in engine.separators ? engine.separators[key] : ',';
+        params[key] = `${params[key]}${separator}${value}`;
+      }
+    });
+  });
+
+  return { params, unsupported, approximate };
+}
+
+/**
+ * Tells how well a target engine supports each parameter entry
+ * @param {string} searchEngine - The target engine id ('duckduckgo', 'bing', etc.)
+ * @param {Object} allParams - All available parameters from Google
+ * @returns {Object} Entry keys (see getParameterEntries) as keys, and
+ *   'full', 'approximate' or 'none' as values; tracking parameters are
+ *   never supported
+ */
+export function getParameterSupport(searchEngine, allParams) {
+  const entries = getParameterEntries(allParams);
+  const { unsupported, approximate } = translateParams(
+    searchEngine,
+    Object.fromEntries(entries.map(entry => [entry.key, true])),
+    allParams
+  );
+  return Object.fromEntries(
+    entries.map(entry => {
+      if (entry.category === 'tracking' || unsupported.includes(entry.key)) {
+        return [entry.key, 'none'];
+      }
+      return [
+        entry.key,
+        approximate.includes(entry.key) ? 'approximate' : 'full',
+      ];
+    })
+  );
+}
+
+/**
+ * Finds the mapper an engine has for a parameter entry
+ * @param {Object} engine - The target engine adapter
+ * @param {{key: string, value: *}} entry - An entry from getParameterEntries()
+ * @returns {Function|null} The mapper, or null if the engine has none
+ */
+function getMapper(engine, entry) {
+  const vertical = entry.key === 'tbm' ? engine.verticals[entry.value] : null;
+  if (vertical) {
+    // The results page is chosen by getVertical(), add its own parameters
+    return () => ({ ...vertical.params });
+  }
+  return (
+    engine.params[entry.key] ||
+    (entry.key.startsWith('tbs:') ? engine.params['tbs:*'] : null)
+  );
+}
+
+/**
+ * Looks up the engine's results page for the selected search vertical
+ * @param {string} searchEngine - The target engine id ('duckduckgo', 'bing', etc.)
+ * @param {Object} selectedParams - Entry keys as keys, true/false as values
+ * @param {Object} allParams - All available parameters from Google
+ * @returns {{url: string, params?: Object}|null} The vertical, or null when
+ *   none is selected or the engine does not offer it (web results then)
+ */
+export function getVertical(searchEngine, selectedParams, allParams) {
+  const engine = getEngine(searchEngine);
+  if (!engine || !selectedParams || !selectedParams.tbm) return null;
+  return engine.verticals[allParams.tbm] || null;
+}
+
+/**
+ * Rewrites the query for a target search engine along with the selected
+ * parameters
+ *
+ * A selected time filter (tbs qdr or cdr) the engine can take wins over
+ * before:/after: operators, which are then left out and reported as
+ * unsupported: the engine would otherwise get both, e.g. Mojeek's before=
+ * from the query with since= from "past week", a range nothing matches.
+ * @param {string} searchEngine - The target engine id ('duckduckgo', 'bing', etc.)
+ * @param {string} query - The search query
+ * @param {Object} selectedParams - Entry keys as keys, true/false as values
+ * @param {Object} allParams - All available parameters from Google
+ * @returns {{query: string, params: Object, unsupported: string[], approximate: string[]}}
+ *   The rewritten query (see rewriteQuery)
+ */
+export function rewriteQueryForParams(
+  searchEngine,
+  query,
+  selectedParams,
+  allParams
+) {
+  const selected = selectedParams || {};
+  const { unsupported } = translateParams(
+    searchEngine,
+    selectedParams,
+    allParams
+  );
+  const timeFilter = getParameterEntries(allParams).some(
+    entry =>
+      ['tbs:qdr', 'tbs:cdr'].includes(entry.key) &&
+      (selected[entry.key] || selected.tbs) &&
+      !unsupported.includes(entry.key)
+  );
+  return rewriteQuery(query, searchEngine, { dates: !timeFilter });
 }
 
 /**
  * Builds a URL for a target search engine with selected parameters
- * @param {string} searchEngine - The target search engine ('duckduckgo', etc.)
+ * @param {string} searchEngine - The target engine id ('duckduckgo', 'bing', etc.)
  * @param {string} query - The search query
  * @param {Object} selectedParams - Object with parameter names as keys, true/false as values
  * @param {Object} allParams - All available parameters from Google
  * @returns {string} The complete URL for the target search engine
  */
 export function buildSearchUrl(searchEngine, query, selectedParams, allParams) {
-  const baseUrls = {
-    duckduckgo: 'https://duckduckgo.com/',
-  };
-
-  const baseUrl = baseUrls[searchEngine];
-  if (!baseUrl) {
+  const engine = getEngine(searchEngine);
+  if (!engine) {
     throw new Error(`Unsupported search engine: ${searchEngine}`);
   }
 
-  // Always include the query
+  // Always include the query, with its operators in the engine's syntax
+  const rewritten = rewriteQueryForParams(
+    searchEngine,
+    query,
+    selectedParams,
+    allParams
+  );
   const urlParams = new URLSearchParams();
-  urlParams.set('q', query);
+  urlParams.set(engine.queryParam, rewritten.query);
+  Object.entries(rewritten.params).forEach(([key, value]) => {
+    urlParams.set(key, value);
+  });
 
   // Map Google parameters to target search engine parameters
-  // For DuckDuckGo, we'll preserve some common parameters
-  if (searchEngine === 'duckduckgo') {
-    // DuckDuckGo uses simpler parameters
-    // Most Google-specific parameters don't have direct equivalents
-    // But we can preserve some basic ones if needed
-    // Note: DuckDuckGo doesn't support most Google parameters
-    // So we mainly just pass the query
+  const { params } = translateParams(searchEngine, selectedParams, allParams);
+  Object.entries(params).forEach(([key, value]) => {
+    urlParams.set(key, value);
+  });
+
+  // Images, videos, news, ... open on the engine's page for them
+  const vertical = getVertical(searchEngine, selectedParams, allParams);
+  const url = vertical ? vertical.url : engine.baseUrl;
+  return `${url}?${urlParams.toString()}`;
+}
+
+/**
+ * Parses the URL of a search results page, without needing to be on it
+ * @param {string} url - URL of a results page of any supported engine
+ * @returns {{engine: string, query: string|null, params: Object}|null} The
+ *   source engine id, the query and all parameters normalized to Google's
+ *   names; null if the URL is not a supported results page
+ */
+export function parseSearchUrl(url) {
+  const source = findSourceEngine(url);
+  if (!source) return null;
+
+  const params = Object.fromEntries(
+    Object.entries(source.parse(new URL(url))).filter(([, value]) => value)
+  );
+  return { engine: source.id, query: params.q || null, params };
+}
+
+/**
+ * Translates the URL of a search results page for other engines, without
+ * needing to be on it
+ * @param {string} url - URL of a results page of any supported engine
+ * @param {string[]} engineIds - Target engine ids
+ * @param {Object} [options] - Additional options
+ * @param {string[]} [options.keep] - Entry keys to keep (e.g., 'tbs:qdr',
+ *   'gl'; 'tbs' keeps every tbs component). Defaults to every filter
+ *   parameter; an empty list keeps the query only.
+ * @returns {{engine: string, url: string, unsupported: string[], approximate: string[]}[]}
+ *   One target URL per engine, with the kept entries (see translateParams)
+ *   and the query operators, as written (see rewriteQuery), that it drops
+ *   or only approximates. Keys to keep that match no entry of the URL, or
+ *   only a tracking parameter, count as dropped.
+ * @throws {Error} If the URL is not a results page with a query, or an
+ *   engine is unknown
+ */
+export function translateSearchUrl(url, engineIds, options = {}) {
+  const parsed = parseSearchUrl(url);
+  if (!parsed || !parsed.query) {
+    throw new Error(`Not a supported search results page: ${url}`);
   }
 
-  return `${baseUrl}?${urlParams.toString()}`;
+  const entries = getParameterEntries(parsed.params);
+  const keep =
+    options.keep ||
+    entries
+      .filter(entry => entry.category === 'filter')
+      .map(entry => entry.key);
+  const selectedParams = Object.fromEntries(keep.map(key => [key, true]));
+  const unmatched = keep.filter(
+    key =>
+      !entries.some(
+        entry =>
+          entry.category !== 'tracking' &&
+          (entry.key === key || (key === 'tbs' && entry.key.startsWith('tbs:')))
+      )
+  );
+
+  return engineIds.map(engineId => {
+    const translated = translateParams(engineId, selectedParams, parsed.params);
+    const rewritten = rewriteQueryForParams(
+      engineId,
+      parsed.query,
+      selectedParams,
+      parsed.params
+    );
+    return {
+      engine: engineId,
+      url: buildSearchUrl(
+        engineId,
+        parsed.query,
+        selectedParams,
+        parsed.params
+      ),
+      unsupported: [
+        ...unmatched,
+        ...translated.unsupported,
+        ...rewritten.unsupported,
+      ],
+      approximate: [...translated.approximate, ...rewritten.approximate],
+    };
+  });
 }
 
 /**
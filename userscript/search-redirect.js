@@ -0,0 +1,11 @@
+/**
+ * Search Redirect Userscript
+ *
+ * Adds an "Open in" bar of search engines to supported results pages, for
+ * Greasemonkey, Tampermonkey and Violentmonkey. The build adds the
+ * metadata block listing those pages.
+ */
+
+import { showEngineBar } from '../src/page.js';
+
+showEngineBar();